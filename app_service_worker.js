@@ -0,0 +1,219 @@
+// Opt-in offline shell (runtime_config.js `offlineShell`), registered by
+// index.html as app_service_worker.js?build=<appBuildId>. Not the Flutter
+// worker: flutter_service_worker.js stays the killswitch for old clients.
+//
+// What brought the stale-bundle bug (a cached pre-migration main.dart.js
+// served against the new backend) can't happen here:
+//   - everything lives in one cache named after the build; a new build is a
+//     new worker URL, and activating it deletes every other cache.
+//   - the only thing served cache-FIRST is content-addressed: the bundle
+//     for this exact build (main.dart.js?v=<build>) and the engine/fonts on
+//     gstatic (their URLs carry the engine revision / font hash).
+//   - install also keeps what an offline boot needs past main.dart.js: the
+//     asset manifests, every font FontManifest.json lists, and CanvasKit
+//     for this build's engine revision (from flutter_bootstrap.js).
+//   - navigations are network-first: offline, they get this build's
+//     index.html (precached only if it carries this build id, so a stale
+//     edge copy is never kept), and offline.html when there is none.
+//   - build_version.txt and the other same-origin files (assets, canvaskit,
+//     the boot scripts) are network-first, falling back to this build's
+//     copy on flaky data; release.json always goes to the network.
+//   - a page reporting a different build id (see the 'app-build' message)
+//     makes the worker drop its cache and stop serving from it; the page's
+//     own registration then brings in the worker for its build.
+var BUILD = new URL(self.location.href).searchParams.get('build') || '';
+var CACHE = 'app-shell-' + BUILD;
+var retired = false;
+var SCOPE = self.registration.scope;
+var NAVIGATION_TIMEOUT_MS = 15000;
+var IMMUTABLE_CROSS_ORIGIN = [
+  /^https:\/\/www\.gstatic\.com\/flutter-canvaskit\//,
+  /^https:\/\/fonts\.gstatic\.com\//
+];
+var NETWORK_ONLY = /\/(release\.json|app_service_worker\.js)$/;
+var NETWORK_FIRST = /\/(assets|canvaskit|icons)\/|\/(build_version\.txt|flutter\.js|route_parser\.js|runtime_config\.js|boot_telemetry\.js|favicon\.png|manifest\.json)$/;
+
+// Optional entries may be missing in some builds; the bundle and the
+// offline page may not (install fails and the previous worker stays).
+var PRECACHE_REQUIRED = ['main.dart.js?v=' + encodeURIComponent(BUILD), 'offline.html'];
+// index.html loads the boot scripts as <file>?v=<build> (see
+// tool/stamp_boot_scripts.js); offline.html loads route_parser.js plain.
+var PRECACHE_OPTIONAL = [
+  'build_version.txt', 'flutter.js', 'route_parser.js', 'favicon.png'
+].concat(['runtime_config.js', 'route_parser.js', 'boot_telemetry.js'].map(function (file) {
+  return file + '?v=' + encodeURIComponent(BUILD);
+}));
+var ASSET_MANIFESTS = ['assets/AssetManifest.bin', 'assets/AssetManifest.bin.json', 'assets/AssetManifest.json'];
+var FONT_MANIFEST = 'assets/FontManifest.json';
+var CANVASKIT_BASE = 'https://www.gstatic.com/flutter-canvaskit/';
+// The app shell (the scope URL serves index.html).
+var SHELL = SCOPE;
+
+function scoped(path) {
+  return new URL(path, SCOPE).href;
+}
+
+self.addEventListener('install', function (event) {
+  if (!/^[0-9a-f]{6,40}-\d{8,17}$/i.test(BUILD)) {
+    // Registered without a real build id (local dev): refuse to install.
+    event.waitUntil(Promise.reject(new Error('app_service_worker: no build id')));
+    return;
+  }
+  event.waitUntil(caches.open(CACHE).then(function (cache) {
+    return cache.addAll(PRECACHE_REQUIRED.map(scoped)).then(function () {
+      return Promise.all(PRECACHE_OPTIONAL.concat(ASSET_MANIFESTS).map(function (path) {
+        return addOptional(cache, scoped(path));
+      }).concat(cacheShell(cache), cacheFonts(cache), cacheCanvasKit(cache)));
+    });
+  }).then(function () { return self.skipWaiting(); }));
+});
+
+self.addEventListener('activate', function (event) {
+  event.waitUntil(caches.keys().then(function (keys) {
+    return Promise.all(keys.filter(function (k) { return k !== CACHE; }).map(function (k) {
+      return caches.delete(k);
+    }));
+  }).then(function () { return self.clients.claim(); }));
+});
+
+// The page posts {type: 'app-build', id: appBuildId} once loaded.
+self.addEventListener('message', function (event) {
+  var data = event.data || {};
+  if (data.type === 'app-build' && data.id !== BUILD) {
+    retired = true;
+    event.waitUntil(caches.delete(CACHE).catch(function () {}));
+  }
+});
+
+function put(request, response) {
+  if (!response || !response.ok) return response;
+  var copy = response.clone();
+  caches.open(CACHE).then(function (cache) { return cache.put(request, copy); }).catch(function () {});
+  return response;
+}
+
+function cacheFirst(request) {
+  return caches.match(request, { cacheName: CACHE }).then(function (hit) {
+    return hit || fetch(request).then(function (response) { return put(request, response); });
+  });
+}
+
+function networkFirst(request) {
+  return fetch(request).then(function (response) {
+    return put(request, response);
+  }).catch(function (error) {
+    return caches.match(request, { cacheName: CACHE }).then(function (hit) {
+      if (hit) return hit;
+      throw error;
+    });
+  });
+}
+
+function addOptional(cache, url) {
+  return cache.add(url).catch(function () {});
+}
+
+// FontManifest.json plus every font file it lists (icons included): without
+// them an offline boot renders tofu.
+function cacheFonts(cache) {
+  return fetch(scoped(FONT_MANIFEST)).then(function (response) {
+    if (!response.ok) return;
+    return cache.put(scoped(FONT_MANIFEST), response.clone()).then(function () {
+      return response.json();
+    }).then(function (families) {
+      var urls = [];
+      (Array.isArray(families) ? families : []).forEach(function (family) {
+        (family.fonts || []).forEach(function (font) {
+          if (font.asset) urls.push(scoped('assets/' + encodeURI(font.asset)));
+        });
+      });
+      return Promise.all(urls.map(function (url) { return addOptional(cache, url); }));
+    });
+  }).catch(function () {});
+}
+
+// The CanvasKit files flutter.js will ask gstatic for: the engine revision
+// comes from flutter_bootstrap.js (_flutter.buildConfig), and the chromium/
+// variant is the one flutter.js picks when Intl.v8BreakIterator and
+// Intl.Segmenter exist (its other check, ImageDecoder, isn't exposed to
+// service workers).
+function cacheCanvasKit(cache) {
+  return fetch(scoped('flutter_bootstrap.js')).then(function (response) {
+    return response.ok ? response.text() : '';
+  }).then(function (js) {
+    var revision = /"engineRevision":"([0-9a-f]{40})"/.exec(js);
+    if (!revision) return;
+    var chromium = typeof Intl.v8BreakIterator !== 'undefined' && typeof Intl.Segmenter !== 'undefined';
+    var base = CANVASKIT_BASE + revision[1] + '/' + (chromium ? 'chromium/' : '');
+    return Promise.all(['canvaskit.js', 'canvaskit.wasm'].map(function (file) {
+      return addOptional(cache, base + file);
+    }));
+  }).catch(function () {});
+}
+
+// index.html is only kept when it is this build's: appBuildId is baked into
+// it at deploy, and an edge still serving the previous page must not become
+// the offline shell of this one.
+function cacheShell(cache) {
+  return fetch(SHELL, { cache: 'no-store' }).then(function (response) {
+    if (!response.ok) return;
+    return response.clone().text().then(function (html) {
+      if (html.indexOf(BUILD) !== -1) return cache.put(SHELL, response);
+    });
+  }).catch(function () {});
+}
+
+// offline.html with its <base> pointed at this worker's scope, so its
+// relative scripts resolve the same on /, /store_55/product_9 or a preview
+// sub-path.
+function offlinePage() {
+  return caches.match(scoped('offline.html'), { cacheName: CACHE }).then(function (hit) {
+    if (!hit) return Response.error();
+    return hit.text().then(function (html) {
+      return new Response(
+        html.replace('<base href="/">', '<base href="' + new URL(SCOPE).pathname + '">'),
+        { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+      );
+    });
+  });
+}
+
+function navigate(request) {
+  return new Promise(function (resolve, reject) {
+    var timer = setTimeout(function () { reject(new Error('navigation timeout')); }, NAVIGATION_TIMEOUT_MS);
+    fetch(request).then(
+      function (response) { clearTimeout(timer); resolve(response); },
+      function (error) { clearTimeout(timer); reject(error); }
+    );
+  }).catch(function () {
+    return caches.match(SHELL, { cacheName: CACHE }).then(function (shell) {
+      return shell || offlinePage();
+    });
+  });
+}
+
+self.addEventListener('fetch', function (event) {
+  var request = event.request;
+  if (retired || request.method !== 'GET') return;
+  if (request.mode === 'navigate') {
+    event.respondWith(navigate(request));
+    return;
+  }
+
+  var url = new URL(request.url);
+  if (url.origin !== self.location.origin) {
+    var immutable = IMMUTABLE_CROSS_ORIGIN.some(function (re) { return re.test(request.url); });
+    if (immutable) event.respondWith(cacheFirst(request));
+    return;
+  }
+  if (NETWORK_ONLY.test(url.pathname)) return;
+  if (/\/main\.dart\.js$/.test(url.pathname)) {
+    // Only this build's bundle; any other version is not ours to serve, and
+    // the boot watchdog's retry (`_r`) must really reach the network.
+    if (url.searchParams.get('v') === BUILD && !url.searchParams.has('_r')) {
+      event.respondWith(cacheFirst(request));
+    }
+    return;
+  }
+  if (NETWORK_FIRST.test(url.pathname)) event.respondWith(networkFirst(request));
+});
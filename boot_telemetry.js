@@ -0,0 +1,216 @@
+/**
+ * Real-user boot telemetry
+ *
+ * The boot comments in index.html quote measured numbers (prefetch starts,
+ * engine boot); this collects them from production. Recorded, all as
+ * milliseconds since navigation start:
+ *   - navigation timing (TTFB, DOM interactive, load)
+ *   - per __storePrefetch resource: start, settle, hit (payload or null),
+ *     cached (a stale copy was available) and consumed: when Dart took it
+ *     (take() or the <name>Consumed flag); false after the first frame
+ *     means Dart fetched that resource itself
+ *   - the entrypoint (main.dart.js) and CanvasKit downloads
+ *   - boot start, entrypoint loaded, engine initialized, app run and
+ *     flutter-first-frame (marks from the loader in index.html)
+ *   - LCP, CLS and INP (the longest interaction; fine for a boot view),
+ *     and the renderer Flutter picked (canvaskit, skwasm or other)
+ *   - a boot failure from the watchdog (stage + diagnostic code)
+ *
+ * No PII: no URLs, query strings, ids of people, user agent or storage
+ * contents; only the route kind, the host kind, the build id and coarse
+ * connection info, under a random per-page-load session id.
+ *
+ * Sent with navigator.sendBeacon to runtime_config.js `telemetry.collector`
+ * (null disables it) for a `telemetry.sampleRate` share of page loads, as
+ * whole snapshots (`seq` increases; keep the last per session): a few
+ * seconds after the first frame and when the page is hidden.
+ *
+ * Browser only: loaded by a blocking <script> before the store prefetch,
+ * defines window.BootTelemetry {mark, track, consumed}. On page loads
+ * that aren't sampled they do nothing (track just returns its promise).
+ */
+(function (root) {
+  var AFTER_FIRST_FRAME_MS = 5000;
+  var MAX_BEACONS = 4;
+  var MAX_MARKS = 60;
+
+  var config = (root.__runtimeConfig && root.__runtimeConfig.telemetry) || {};
+  var perf = root.performance;
+  var enabled = !!config.collector && !!perf && typeof perf.now === 'function' &&
+    !!(root.navigator && root.navigator.sendBeacon) &&
+    Math.random() < (config.sampleRate != null ? config.sampleRate : 0);
+
+  function noop() {}
+
+  if (!enabled) {
+    root.BootTelemetry = {
+      mark: noop,
+      track: function (name, promise) { return promise; },
+      consumed: noop
+    };
+    return;
+  }
+
+  function now() {
+    return Math.round(perf.now());
+  }
+
+  var state = {
+    v: 1,
+    session: now().toString(36) + Math.random().toString(36).slice(2, 10),
+    seq: 0,
+    marks: [],
+    prefetch: {},
+    resources: {},
+    vitals: { lcp: null, cls: 0, inp: null },
+    renderer: null,
+    failure: null
+  };
+  var beacons = 0;
+
+  function mark(name, data) {
+    if (state.marks.length >= MAX_MARKS) return;
+    var entry = { n: name, t: now() };
+    if (data) Object.keys(data).forEach(function (k) { entry[k] = data[k]; });
+    state.marks.push(entry);
+  }
+
+  // Called as each prefetch request starts; its promise settles to a payload
+  // or null (see the prefetch). Returns the promise.
+  function track(name, promise) {
+    var entry = state.prefetch[name] = {
+      start: now(), settle: null, hit: null, cached: false, consumed: false
+    };
+    promise.then(function (value) {
+      entry.settle = now();
+      entry.hit = value != null;
+    }, function () {
+      entry.settle = now();
+      entry.hit = false;
+    });
+    return promise;
+  }
+
+  function consumed(name) {
+    if (state.prefetch[name]) state.prefetch[name].consumed = now();
+  }
+
+  function routeKind() {
+    try {
+      return root.RouteParser.parse(root.location).kind;
+    } catch (e) { return 'unknown'; }
+  }
+
+  function hostKind() {
+    var c = root.__runtimeConfig || {};
+    if (c.isDevHost) return 'dev';
+    return c.isCustomDomain ? 'custom' : 'mall';
+  }
+
+  function navigationTiming() {
+    var nav = perf.getEntriesByType && perf.getEntriesByType('navigation')[0];
+    if (!nav) return null;
+    return {
+      type: nav.type,
+      ttfb: Math.round(nav.responseStart),
+      domInteractive: Math.round(nav.domInteractive),
+      load: Math.round(nav.loadEventEnd) || null
+    };
+  }
+
+  // Dart may read the legacy flags directly instead of take(). cached: a
+  // stale-while-revalidate copy was there to paint from.
+  function syncPrefetch() {
+    var pf = root.__storePrefetch;
+    if (!pf) return;
+    Object.keys(state.prefetch).forEach(function (name) {
+      var entry = state.prefetch[name];
+      if (pf[name + 'Consumed'] && !entry.consumed) entry.consumed = true;
+      entry.cached = !!pf['cached' + name.charAt(0).toUpperCase() + name.slice(1)];
+    });
+  }
+
+  function detectRenderer() {
+    if (root.flutterCanvasKit) return 'canvaskit';
+    if (root._flutter_skwasmInstance) return 'skwasm';
+    return 'other';
+  }
+
+  function send() {
+    if (beacons >= MAX_BEACONS) return;
+    beacons++;
+    syncPrefetch();
+    state.seq++;
+    var c = root.__runtimeConfig || {};
+    var connection = root.navigator.connection || {};
+    var payload = {
+      v: state.v,
+      session: state.session,
+      seq: state.seq,
+      build: typeof root.appBuildId === 'string' ? root.appBuildId : null,
+      env: c.environment || null,
+      route: routeKind(),
+      host: hostKind(),
+      net: { type: connection.effectiveType || null, saveData: !!connection.saveData },
+      nav: navigationTiming(),
+      marks: state.marks,
+      prefetch: state.prefetch,
+      resources: state.resources,
+      vitals: state.vitals,
+      renderer: state.renderer,
+      failure: state.failure
+    };
+    try {
+      // text/plain keeps a cross-origin beacon a simple request (no preflight).
+      root.navigator.sendBeacon(config.collector,
+        new Blob([JSON.stringify(payload)], { type: 'text/plain;charset=UTF-8' }));
+    } catch (e) {}
+  }
+
+  function observe(type, callback, options) {
+    try {
+      var observer = new PerformanceObserver(function (list) { list.getEntries().forEach(callback); });
+      var init = { type: type, buffered: true };
+      if (options) Object.keys(options).forEach(function (k) { init[k] = options[k]; });
+      observer.observe(init);
+    } catch (e) {}
+  }
+
+  observe('largest-contentful-paint', function (entry) {
+    state.vitals.lcp = Math.round(entry.startTime);
+  });
+  observe('layout-shift', function (entry) {
+    if (!entry.hadRecentInput) state.vitals.cls = Math.round((state.vitals.cls + entry.value) * 1000) / 1000;
+  });
+  observe('event', function (entry) {
+    if (!entry.interactionId) return;
+    state.vitals.inp = Math.max(state.vitals.inp || 0, Math.round(entry.duration));
+  }, { durationThreshold: 40 });
+  observe('resource', function (entry) {
+    var name = /\/main\.dart\.js(\?|$)/.test(entry.name) ? 'entrypoint' :
+      /\/canvaskit\.wasm(\?|$)/.test(entry.name) ? 'canvaskit' :
+      /\/skwasm\.wasm(\?|$)/.test(entry.name) ? 'skwasm' : null;
+    if (!name) return;
+    state.resources[name] = {
+      start: Math.round(entry.startTime),
+      duration: Math.round(entry.duration),
+      transfer: entry.transferSize != null ? entry.transferSize : null
+    };
+  });
+
+  root.addEventListener('flutter-first-frame', function () {
+    mark('first-frame');
+    state.renderer = detectRenderer();
+    setTimeout(send, AFTER_FIRST_FRAME_MS);
+  });
+  root.addEventListener('appBootFailed', function (event) {
+    var detail = event.detail || {};
+    state.failure = { stage: detail.stage || null, code: detail.code || null, retried: !!detail.retried };
+    send();
+  });
+  root.document.addEventListener('visibilitychange', function () {
+    if (root.document.visibilityState === 'hidden') send();
+  });
+
+  root.BootTelemetry = { mark: mark, track: track, consumed: consumed };
+})(window);
@@ -2,13 +2,171 @@
  * MercadoPago Payment Brick Bridge
  *
  * Bridges the MercadoPago JS SDK (Payment Brick) with the Flutter app.
- * Exposes window.MercadoPagoBridge with init, renderPaymentBrick, and destroy.
+ * Exposes window.MercadoPagoBridge with init, renderPaymentBrick,
+ * renderStatusScreen, renderWalletBrick, checkoutPro, updateAmount/updatePayer,
+ * destroy/destroyAll/isMounted, the redirect-return helpers
+ * (getRedirectReturn, pollPaymentStatus, handleRedirectReturn) and setLogSink.
+ *
+ * init() returns a Promise, and the render* methods return a handle
+ * {containerId, ready, result, update, unmount} whose promises
+ * settle with the same outcomes the window events report. The events (and
+ * the window.mpBrickReady flag) stay for the existing listeners. Promises
+ * reject with an Error carrying the error object's code, category and cause.
+ *
+ * Several bricks can be mounted side by side, one per container. Every event
+ * is dispatched on window with detail = {containerId, data}: containerId is
+ * the brick's container (null for events not tied to one, like the redirect
+ * status poll) and data is the payload as a JSON string, if any.
+ *
+ * Failure events (mpPaymentError, mpBrickError, mpStatusError, mpWalletError)
+ * carry a JSON error object {code, category, message, cause}: code is stable
+ * (see ERROR_CATALOG), category is 'retryable' | 'user_fixable' | 'fatal',
+ * message is the es-CO text to show the buyer and cause the redacted raw
+ * source (SDK error, HTTP status + body, status_detail). Rejected payments
+ * (mpPaymentRejected) get the same object under the payload's `error` key.
  */
 (function () {
   var mp = null;
-  var brickController = null;
+  // containerId -> { type: 'payment'|'statusScreen'|'wallet', containerId, controller,
+  //                 ready, readyDeferred, resultDeferred, state }
+  var bricks = {};
   var capturedDeviceId = ''; // Captured early in onReady for best availability
   var cachedPublicIpv4 = null;
+  // Client IPv4 lookup (see init options.clientIp). Until the app passes its
+  // own resolvers, keep the api.ipify.org lookup PSE has always relied on.
+  var DEFAULT_IP_RESOLVERS = ['https://api.ipify.org?format=json'];
+  var ipLookup = { skip: false, resolvers: DEFAULT_IP_RESOLVERS, timeoutMs: 1500 };
+  var activePoll = null; // { cancelled } token of the running status poll
+
+  // Logging: warnings and errors only, unless init(publicKey, {debug: true})
+  // or ?mpdebug=1 turns on the verbose trace. Every payload goes through
+  // redact() first, so card tokens and payer PII never reach the console (or
+  // the Flutter sink) in any mode.
+  var LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+  var REDACTED_KEYS = /token|identification|email|phone|address|authorization|first_?name|last_?name|security_?code|card_?number/i;
+  var logLevel = /[?&]mpdebug=1(&|$)/.test(window.location.search) ? 'debug' : 'warn';
+  var logSink = null; // { fn, level } registered with setLogSink
+
+  // MercadoPago payment statuses that will not change any more. Everything
+  // else (pending, in_process, in_mediation, authorized) is still in flight.
+  var APPROVED_STATUSES = ['approved'];
+  var REJECTED_STATUSES = ['rejected', 'cancelled', 'refunded', 'charged_back'];
+
+  // Payment Brick customization.paymentMethods keys a store may toggle, and
+  // the ones enabled when config.paymentMethods says nothing about them
+  // (the checkout every store had before it was configurable).
+  var PAYMENT_METHOD_KEYS = ['creditCard', 'debitCard', 'bankTransfer', 'ticket', 'atm', 'prepaidCard', 'mercadoPago'];
+  var DEFAULT_PAYMENT_METHODS = ['creditCard', 'debitCard', 'bankTransfer'];
+  // MercadoPago payment_type_id values accepted in types.excluded.
+  var PAYMENT_TYPES = ['credit_card', 'debit_card', 'bank_transfer', 'ticket', 'atm', 'prepaid_card', 'account_money'];
+  var THEMES = ['default', 'dark', 'bootstrap', 'flat'];
+  var MAX_INSTALLMENTS = 36;
+
+  // Payment POST: transient failures (network error, timeout, 5xx, 408/429)
+  // are retried with the SAME idempotency key, so MercadoPago answers a
+  // retry of an already-created payment with that payment instead of a
+  // second charge.
+  var IDEMPOTENCY_STORAGE_PREFIX = 'mp_idempotency_v1:';
+  var PAYMENT_TIMEOUT_MS = 30000;
+  var PAYMENT_RETRY_DELAYS_MS = [1000, 3000];
+
+  // Stable error codes -> [category, es-CO buyer message]. Card rejections use
+  // MercadoPago's own status_detail as code, so the Flutter side can match on
+  // the same values the MercadoPago docs list.
+  var ERROR_CATALOG = {
+    // Payment rejections (status_detail)
+    cc_rejected_bad_filled_card_number: ['user_fixable', 'Revisa el número de la tarjeta.'],
+    cc_rejected_bad_filled_date: ['user_fixable', 'Revisa la fecha de vencimiento de la tarjeta.'],
+    cc_rejected_bad_filled_other: ['user_fixable', 'Revisa los datos de la tarjeta.'],
+    cc_rejected_bad_filled_security_code: ['user_fixable', 'Revisa el código de seguridad (CVV) de la tarjeta.'],
+    cc_rejected_blacklist: ['fatal', 'No pudimos procesar tu pago. Usa otro medio de pago.'],
+    cc_rejected_call_for_authorize: ['user_fixable', 'Debes autorizar este pago con tu banco. Llámalo y vuelve a intentarlo.'],
+    cc_rejected_card_disabled: ['user_fixable', 'Tu tarjeta no está activa. Llama a tu banco para activarla o usa otra tarjeta.'],
+    cc_rejected_card_error: ['retryable', 'No pudimos procesar tu tarjeta. Inténtalo de nuevo.'],
+    cc_rejected_duplicated_payment: ['fatal', 'Ya hiciste un pago por este valor. Si necesitas pagar de nuevo, usa otra tarjeta u otro medio de pago.'],
+    cc_rejected_high_risk: ['user_fixable', 'Tu pago fue rechazado. Elige otro medio de pago.'],
+    cc_rejected_insufficient_amount: ['user_fixable', 'Tu tarjeta no tiene fondos suficientes. Usa otra tarjeta u otro medio de pago.'],
+    cc_rejected_invalid_installments: ['user_fixable', 'Tu tarjeta no acepta ese número de cuotas. Elige otro.'],
+    cc_rejected_max_attempts: ['user_fixable', 'Llegaste al límite de intentos con esta tarjeta. Usa otra tarjeta u otro medio de pago.'],
+    cc_rejected_other_reason: ['user_fixable', 'Tu banco rechazó el pago. Usa otra tarjeta u otro medio de pago.'],
+    cc_amount_rate_limit_exceeded: ['user_fixable', 'Superaste el límite de pagos de este medio. Usa otro medio de pago.'],
+    rejected_by_bank: ['user_fixable', 'Tu banco rechazó la transferencia. Inténtalo con otra cuenta u otro medio de pago.'],
+    rejected_insufficient_data: ['user_fixable', 'Faltan datos para procesar el pago. Revisa tus datos e inténtalo de nuevo.'],
+    payment_rejected: ['user_fixable', 'Tu pago fue rechazado. Usa otro medio de pago.'],
+    checkout_abandoned: ['user_fixable', 'No completaste el pago en Mercado Pago. Puedes intentarlo de nuevo.'],
+    // HTTP / transport
+    invalid_request: ['user_fixable', 'Revisa los datos del pago e inténtalo de nuevo.'],
+    unauthorized: ['fatal', 'Tu sesión expiró. Ingresa de nuevo para completar el pago.'],
+    not_found: ['fatal', 'El servicio de pagos no está disponible en este momento.'],
+    conflict: ['fatal', 'Este pago ya se está procesando.'],
+    rate_limited: ['retryable', 'Hay demasiados intentos seguidos. Espera un momento e inténtalo de nuevo.'],
+    server_error: ['retryable', 'El servicio de pagos no responde. Inténtalo de nuevo en unos minutos.'],
+    network_error: ['retryable', 'No hay conexión. Revisa tu internet e inténtalo de nuevo.'],
+    timeout: ['retryable', 'El pago está tardando más de lo normal. Revisa tu conexión e inténtalo de nuevo.'],
+    // SDK / configuration
+    brick_error: ['retryable', 'Hubo un problema con el formulario de pago. Inténtalo de nuevo.'],
+    brick_critical: ['fatal', 'No pudimos cargar el formulario de pago. Recarga la página.'],
+    invalid_configuration: ['fatal', 'El pago no está configurado correctamente en esta tienda.'],
+    sdk_not_loaded: ['retryable', 'No pudimos cargar Mercado Pago. Revisa tu conexión e inténtalo de nuevo.'],
+    sdk_not_initialized: ['fatal', 'El pago no está listo todavía. Recarga la página e inténtalo de nuevo.'],
+    brick_unmounted: ['fatal', 'El formulario de pago se cerró antes de terminar.'],
+    unknown: ['fatal', 'No pudimos procesar tu pago. Inténtalo de nuevo.']
+  };
+
+  // init() waits this long for the device fingerprint (security.js) before
+  // resolving anyway: a payment without it is riskier, not impossible.
+  var DEVICE_ID_WAIT_MS = 5000;
+  var DEVICE_ID_POLL_MS = 100;
+
+  // Wallet Brick / Checkout Pro: where MercadoPago opens, and the only hosts
+  // checkoutPro() will send the buyer to (the URL comes from our backend, but
+  // a redirect is never blindly trusted).
+  var WALLET_REDIRECT_MODES = ['self', 'blank', 'modal'];
+  var CHECKOUT_PRO_HOST = /(^|\.)mercadopago\.com(\.[a-z]{2})?$/i;
+
+  /**
+   * Deep copy of value with every sensitive key (see REDACTED_KEYS) replaced
+   * by '[REDACTED]'. Errors become {name, message}.
+   */
+  function redact(value, depth) {
+    depth = depth || 0;
+    if (value instanceof Error) return { name: value.name, message: value.message };
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > 6) return '[...]';
+    if (Array.isArray(value)) {
+      return value.map(function (v) { return redact(v, depth + 1); });
+    }
+    var copy = {};
+    Object.keys(value).forEach(function (key) {
+      copy[key] = REDACTED_KEYS.test(key) ? '[REDACTED]' : redact(value[key], depth + 1);
+    });
+    return copy;
+  }
+
+  function writeLog(level, message, data) {
+    var toConsole = LOG_LEVELS[level] >= LOG_LEVELS[logLevel];
+    var toSink = logSink && LOG_LEVELS[level] >= LOG_LEVELS[logSink.level];
+    if (!toConsole && !toSink) return;
+
+    var safe = data === undefined ? undefined : redact(data);
+    if (toConsole) {
+      var method = level === 'debug' ? 'log' : level;
+      if (safe === undefined) console[method]('MercadoPagoBridge: ' + message);
+      else console[method]('MercadoPagoBridge: ' + message, safe);
+    }
+    if (toSink) {
+      try {
+        logSink.fn(JSON.stringify({ level: level, message: message, data: safe === undefined ? null : safe, time: Date.now() }));
+      } catch (e) { }
+    }
+  }
+
+  var log = {
+    debug: function (message, data) { writeLog('debug', message, data); },
+    info: function (message, data) { writeLog('info', message, data); },
+    warn: function (message, data) { writeLog('warn', message, data); },
+    error: function (message, data) { writeLog('error', message, data); }
+  };
 
   /**
    * Attempts to capture the device session ID from all known sources.
@@ -48,57 +206,881 @@
         if (cookieMatch) deviceSessionId = cookieMatch[1];
       }
     } catch (e) {
-      console.warn('MercadoPagoBridge: Error obtaining device session ID', e);
+      log.warn('Error obtaining device session ID', e);
     }
     // Cache for subsequent calls
     if (deviceSessionId) capturedDeviceId = deviceSessionId;
     return deviceSessionId;
   }
 
+  var IPV4_SHAPE = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+  /**
+   * Asks one resolver for the client IPv4. Accepts a JSON body ({ip},
+   * {ipv4} or {clientIp}) or plain text. The AbortController timeout covers
+   * the whole exchange (headers + body), so a slow host can't hang checkout.
+   * Resolves with the IPv4 or null.
+   */
+  function resolveIpv4From(url, timeoutMs) {
+    var controller = typeof AbortController === 'function' ? new AbortController() : null;
+    var timer = null;
+    var timeout = new Promise(function (resolve) {
+      timer = setTimeout(function () {
+        if (controller) controller.abort();
+        resolve(null);
+      }, timeoutMs);
+    });
+
+    var lookup = fetch(url, { method: 'GET', signal: controller ? controller.signal : undefined })
+      .then(function (response) {
+        if (!response.ok) return null;
+        return response.text();
+      })
+      .then(function (text) {
+        var ip = (text || '').trim();
+        try {
+          var data = JSON.parse(ip);
+          ip = data && (data.ip || data.ipv4 || data.clientIp) ? String(data.ip || data.ipv4 || data.clientIp).trim() : '';
+        } catch (e) { }
+        return IPV4_SHAPE.test(ip) ? ip : null;
+      })
+      .catch(function () {
+        return null;
+      });
+
+    return Promise.race([lookup, timeout]).then(function (ip) {
+      clearTimeout(timer);
+      return ip;
+    });
+  }
+
   /**
    * Gets the browser public IPv4 as fallback for PSE.
    * MercadoPago PSE can reject pure IPv6 in additional_info.ip_address.
+   * Walks the configured resolver chain in order (our backend echo endpoint
+   * first, third parties only if the store opted in) and stops at the first
+   * answer. Resolves with null when lookup is skipped or every step fails.
    */
   function getPublicIpv4() {
     if (cachedPublicIpv4) return Promise.resolve(cachedPublicIpv4);
+    if (ipLookup.skip || ipLookup.resolvers.length === 0) return Promise.resolve(null);
 
-    // api.ipify.org returns IPv4; keep timeout short to avoid blocking checkout.
-    return fetch('https://api.ipify.org?format=json', { method: 'GET' })
-      .then(function (response) {
-        if (!response.ok) return null;
-        return response.json();
-      })
-      .then(function (data) {
-        var ip = data && data.ip ? String(data.ip).trim() : '';
-        if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) {
+    var index = 0;
+    function next() {
+      if (index >= ipLookup.resolvers.length) return Promise.resolve(null);
+      var resolver = ipLookup.resolvers[index++];
+      var url = typeof resolver === 'string' ? resolver : resolver.url;
+      var timeoutMs = (typeof resolver === 'object' && resolver.timeoutMs) || ipLookup.timeoutMs;
+      return resolveIpv4From(url, timeoutMs).then(function (ip) {
+        if (ip) {
           cachedPublicIpv4 = ip;
           return ip;
         }
-        return null;
-      })
-      .catch(function () {
-        return null;
+        return next();
       });
+    }
+    return next();
+  }
+
+  /**
+   * 32-bit FNV-1a of a string as 8 hex chars. Not a security hash: it only
+   * has to turn the checkout identity into a short, header-safe, stable id.
+   */
+  function fnv1a(str) {
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = (hash + ((hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24))) >>> 0;
+    }
+    return ('0000000' + hash.toString(16)).slice(-8);
+  }
+
+  function randomNonce() {
+    if (window.crypto && typeof window.crypto.getRandomValues === 'function') {
+      var bytes = new Uint32Array(2);
+      window.crypto.getRandomValues(bytes);
+      return bytes[0].toString(36) + bytes[1].toString(36);
+    }
+    return Math.random().toString(36).substr(2, 9) + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Returns the X-Idempotency-Key for a checkout identity
+   * (storeId|externalReference|amount). The key is derived from the identity
+   * plus a per-checkout nonce and kept in sessionStorage, so retries, double
+   * submits and a reload of the same checkout all reuse it. A new key is only
+   * minted after rotateIdempotencyKey (definitive rejection).
+   */
+  function idempotencyKeyFor(storeId, identity) {
+    var storageKey = IDEMPOTENCY_STORAGE_PREFIX + identity;
+    var key = null;
+    try { key = sessionStorage.getItem(storageKey); } catch (e) { }
+    if (key) return key;
+
+    key = 'pay_' + storeId + '_' + fnv1a(identity) + '_' + randomNonce();
+    try { sessionStorage.setItem(storageKey, key); } catch (e) { }
+    return key;
+  }
+
+  function rotateIdempotencyKey(identity) {
+    try { sessionStorage.removeItem(IDEMPOTENCY_STORAGE_PREFIX + identity); } catch (e) { }
+  }
+
+  function isTransientStatus(httpStatus) {
+    return httpStatus >= 500 || httpStatus === 408 || httpStatus === 429;
+  }
+
+  /**
+   * Whether a non-2xx answer confirms the payment was refused, so the next
+   * attempt may use a new key: a 400 validation error, or a body carrying
+   * status 'rejected'. Anything else (409 "already processing", 401, 404,
+   * timeouts, 5xx) may leave the first payment in flight and keeps the key.
+   */
+  function isDefinitiveRefusal(httpStatus, body) {
+    return httpStatus === 400 || !!(body && REJECTED_STATUSES.indexOf(body.status) !== -1);
+  }
+
+  /**
+   * fetch() that rejects (and aborts the request) once timeoutMs passes
+   * without a response.
+   */
+  function fetchWithTimeout(url, init, timeoutMs) {
+    var controller = typeof AbortController === 'function' ? new AbortController() : null;
+    if (controller) init.signal = controller.signal;
+    return new Promise(function (resolve, reject) {
+      var timer = setTimeout(function () {
+        if (controller) controller.abort();
+        var error = new Error('Payment request timed out');
+        error.timedOut = true;
+        reject(error);
+      }, timeoutMs);
+      fetch(url, init).then(
+        function (response) { clearTimeout(timer); resolve(response); },
+        function (error) {
+          clearTimeout(timer);
+          if (error && typeof error === 'object') error.networkFailure = true;
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * POSTs the payment, retrying transient failures with the same request
+   * (same idempotency key) per PAYMENT_RETRY_DELAYS_MS. Resolves with the
+   * last response; rejects only when the network never answered.
+   */
+  function postPayment(url, init) {
+    var attempt = 0;
+    function send() {
+      return fetchWithTimeout(url, init, PAYMENT_TIMEOUT_MS).then(function (response) {
+        if (isTransientStatus(response.status) && attempt < PAYMENT_RETRY_DELAYS_MS.length) {
+          return retry('HTTP ' + response.status);
+        }
+        return response;
+      }, function (error) {
+        if (attempt < PAYMENT_RETRY_DELAYS_MS.length) return retry(error.message);
+        throw error;
+      });
+    }
+    function retry(reason) {
+      var delay = PAYMENT_RETRY_DELAYS_MS[attempt++];
+      log.warn('Payment attempt failed, retrying', { reason: reason, delayMs: delay });
+      return new Promise(function (resolve) { setTimeout(resolve, delay); }).then(send);
+    }
+    return send();
+  }
+
+  /**
+   * Dispatches a bridge event on window (see the header for the detail shape).
+   */
+  function emit(name, containerId, data) {
+    window.dispatchEvent(new CustomEvent(name, {
+      detail: { containerId: containerId || null, data: data === undefined ? null : data }
+    }));
+  }
+
+  /**
+   * Keeps the legacy window.mpBrickReady / window.mpStatusReady flags in sync
+   * with the registry: true while at least one brick of that type is ready.
+   */
+  function syncReadyFlags() {
+    var paymentReady = false;
+    var statusReady = false;
+    var walletReady = false;
+    Object.keys(bricks).forEach(function (id) {
+      var entry = bricks[id];
+      if (!entry.ready) return;
+      if (entry.type === 'payment') paymentReady = true;
+      if (entry.type === 'statusScreen') statusReady = true;
+      if (entry.type === 'wallet') walletReady = true;
+    });
+    window.mpBrickReady = paymentReady;
+    window.mpStatusReady = statusReady;
+    window.mpWalletReady = walletReady;
+  }
+
+  function noop() { }
+
+  /**
+   * A promise plus its resolve/reject. The promise is pre-marked as handled
+   * so a handle nobody awaits doesn't log unhandled rejections.
+   */
+  function deferred() {
+    var d = {};
+    d.promise = new Promise(function (resolve, reject) {
+      d.resolve = resolve;
+      d.reject = reject;
+    });
+    d.promise['catch'](noop);
+    return d;
+  }
+
+  /**
+   * Returns promise pre-marked as handled, like deferred(): Dart often
+   * calls init()/checkoutPro() without awaiting them, and their failures
+   * already reach it through the error events.
+   */
+  function handled(promise) {
+    promise['catch'](noop);
+    return promise;
+  }
+
+  /**
+   * Error to reject bridge promises with: message is the buyer-facing text,
+   * code/category/cause mirror the error object of the failure events.
+   */
+  function toRejection(errorObject) {
+    var error = new Error(errorObject.message);
+    error.code = errorObject.code;
+    error.category = errorObject.category;
+    error.cause = errorObject.cause;
+    error.paymentError = errorObject;
+    return error;
+  }
+
+  /**
+   * Unmounts the brick in containerId (if any) and drops it from the registry.
+   * A create() still in flight is unmounted as soon as it resolves (see
+   * createBrick). Pending handle promises reject with brick_unmounted.
+   * Returns true when there was something to destroy.
+   */
+  function unmountBrick(containerId) {
+    var entry = bricks[containerId];
+    if (!entry) return false;
+    delete bricks[containerId];
+    if (entry.controller) {
+      try {
+        entry.controller.unmount();
+      } catch (e) {
+        log.warn('Error destroying brick', { containerId: containerId, error: e });
+      }
+    }
+    var unmounted = toRejection(paymentError('brick_unmounted', { source: 'bridge', containerId: containerId }));
+    entry.readyDeferred.reject(unmounted);
+    entry.resultDeferred.reject(unmounted);
+    syncReadyFlags();
+    return true;
+  }
+
+  /**
+   * Registers a brick for containerId, replacing only the brick already in
+   * that container. The entry exists before create() so the SDK callbacks
+   * can close over it.
+   */
+  function registerBrick(type, containerId) {
+    unmountBrick(containerId);
+    var entry = {
+      type: type,
+      containerId: containerId,
+      controller: null,
+      ready: false,
+      readyDeferred: deferred(),
+      resultDeferred: deferred(),
+      state: {}
+    };
+    bricks[containerId] = entry;
+    return entry;
+  }
+
+  /**
+   * Creates the registered brick. Resolves with the entry; on failure the
+   * entry is dropped, its handle promises reject and the error is rethrown.
+   */
+  function createBrick(entry, settings) {
+    var containerId = entry.containerId;
+    entry.created = mp.bricks().create(entry.type, containerId, settings).then(function (controller) {
+      if (bricks[containerId] !== entry) {
+        // destroy()ed (or replaced) while the SDK was still creating it.
+        try { controller.unmount(); } catch (e) { }
+        return entry;
+      }
+      entry.controller = controller;
+      return entry;
+    }, function (error) {
+      if (bricks[containerId] === entry) delete bricks[containerId];
+      var rejection = toRejection(thrownPaymentError(error));
+      entry.readyDeferred.reject(rejection);
+      entry.resultDeferred.reject(rejection);
+      syncReadyFlags();
+      throw error;
+    });
+    return entry.created;
+  }
+
+  /**
+   * Marks the brick as ready (ignored if it was destroyed or replaced).
+   */
+  function markReady(entry) {
+    if (bricks[entry.containerId] !== entry) return;
+    entry.ready = true;
+    entry.readyDeferred.resolve();
+    syncReadyFlags();
+  }
+
+  /**
+   * Public handle for a registered brick. unmount() only ever touches this
+   * brick, even if the container was re-rendered since.
+   */
+  function brickHandle(entry) {
+    return {
+      containerId: entry.containerId,
+      ready: entry.readyDeferred.promise,
+      result: entry.resultDeferred.promise,
+      update: function (changes) {
+        return updateBrick(entry, changes || {});
+      },
+      unmount: function () {
+        if (bricks[entry.containerId] === entry) unmountBrick(entry.containerId);
+        return Promise.resolve();
+      }
+    };
+  }
+
+  /**
+   * Handle for a render that never got a brick (no init, bad config): every
+   * promise is already rejected with errorObject.
+   */
+  function failedHandle(containerId, errorObject) {
+    var rejected = handled(Promise.reject(toRejection(errorObject)));
+    return {
+      containerId: containerId,
+      ready: rejected,
+      result: rejected,
+      update: function () { return rejected; },
+      unmount: function () { return Promise.resolve(); }
+    };
+  }
+
+  /**
+   * Applies changes to a mounted Payment Brick without re-rendering it (so
+   * whatever the buyer typed in the card form survives):
+   *   amount: pushed to the brick through the controller's update(); only
+   *     committed when the SDK accepts it, so the amount shown in the form
+   *     and the one submitted never disagree,
+   *   payer: merged into the payer data onSubmit adds (firstName, lastName,
+   *     address, phone...); the email pre-filled in the form is not changed,
+   *   items, externalReference: replace what onSubmit sends.
+   * Resolves with true when everything was applied, false when the SDK has
+   * no update() for the amount (re-render the brick in that case).
+   */
+  function updateBrick(entry, changes) {
+    if (bricks[entry.containerId] !== entry) {
+      return Promise.reject(toRejection(paymentError('brick_unmounted', {
+        source: 'bridge', containerId: entry.containerId
+      })));
+    }
+    if (entry.type !== 'payment') return Promise.resolve(false);
+    if (changes.amount != null && !(typeof changes.amount === 'number' && changes.amount > 0)) {
+      return Promise.reject(toRejection(paymentError('invalid_configuration', {
+        source: 'config', message: 'amount must be a positive number'
+      })));
+    }
+    if (!entry.controller) {
+      // Still being created: apply once the controller exists.
+      return entry.created.then(function () { return updateBrick(entry, changes); });
+    }
+
+    var state = entry.state;
+    if (changes.payer) {
+      Object.keys(changes.payer).forEach(function (key) { state.payer[key] = changes.payer[key]; });
+    }
+    if (changes.items) state.items = changes.items;
+    if (changes.externalReference !== undefined) state.externalReference = changes.externalReference || null;
+
+    if (changes.amount == null || changes.amount === state.amount) return Promise.resolve(true);
+    if (typeof entry.controller.update !== 'function') return Promise.resolve(false);
+    return Promise.resolve(entry.controller.update({ amount: changes.amount })).then(function (accepted) {
+      if (accepted === false) return false;
+      state.amount = changes.amount;
+      log.debug('Brick amount updated', { containerId: entry.containerId, amount: changes.amount });
+      return true;
+    });
+  }
+
+  /**
+   * Runs updateBrick on the Payment Brick in containerId, or on every mounted
+   * Payment Brick when containerId is omitted. Resolves with true only if
+   * every brick applied the change.
+   */
+  function updatePaymentBricks(containerId, changes) {
+    var entries = Object.keys(bricks).map(function (id) { return bricks[id]; }).filter(function (entry) {
+      return entry.type === 'payment' && (containerId == null || entry.containerId === containerId);
+    });
+    if (entries.length === 0) {
+      return Promise.reject(toRejection(paymentError('brick_unmounted', {
+        source: 'bridge', containerId: containerId == null ? null : containerId
+      })));
+    }
+    return Promise.all(entries.map(function (entry) { return updateBrick(entry, changes); }))
+      .then(function (results) { return results.indexOf(false) === -1; });
+  }
+
+  /**
+   * Resolves with the device session id once one of the getDeviceSessionId
+   * sources has it, or with '' after DEVICE_ID_WAIT_MS.
+   */
+  function waitForDeviceSessionId() {
+    var started = Date.now();
+    return new Promise(function (resolve) {
+      (function check() {
+        var id = getDeviceSessionId();
+        if (id || Date.now() - started >= DEVICE_ID_WAIT_MS) {
+          resolve(id || '');
+          return;
+        }
+        setTimeout(check, DEVICE_ID_POLL_MS);
+      })();
+    });
+  }
+
+  function isStringList(value) {
+    if (!Array.isArray(value) || value.length === 0) return false;
+    for (var i = 0; i < value.length; i++) {
+      if (typeof value[i] !== 'string' || !value[i]) return false;
+    }
+    return true;
+  }
+
+  function isInstallments(value) {
+    return typeof value === 'number' && value % 1 === 0 && value >= 1 && value <= MAX_INSTALLMENTS;
+  }
+
+  /**
+   * Builds customization.paymentMethods from config.paymentMethods:
+   *   include / exclude: method keys to switch on ('all') / off,
+   *   creditCard, debitCard, bankTransfer, ticket, atm, prepaidCard,
+   *   mercadoPago: 'all' | [payment_method_id, ...] | false,
+   *   minInstallments, maxInstallments: integers 1..36,
+   *   excludedPaymentTypes: [payment_type_id, ...].
+   * Throws an Error naming the offending field; nothing invalid reaches the SDK.
+   */
+  function buildPaymentMethods(options) {
+    options = options || {};
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('paymentMethods must be an object');
+    }
+
+    var result = {};
+    DEFAULT_PAYMENT_METHODS.forEach(function (key) { result[key] = 'all'; });
+
+    ['include', 'exclude'].forEach(function (listName) {
+      var list = options[listName];
+      if (list == null) return;
+      if (!isStringList(list)) throw new Error('paymentMethods.' + listName + ' must be a non-empty list of method names');
+      list.forEach(function (key) {
+        if (PAYMENT_METHOD_KEYS.indexOf(key) === -1) {
+          throw new Error('paymentMethods.' + listName + ': unknown method "' + key + '"');
+        }
+        if (listName === 'include') result[key] = 'all';
+        else delete result[key];
+      });
+    });
+
+    PAYMENT_METHOD_KEYS.forEach(function (key) {
+      var value = options[key];
+      if (value === undefined) return;
+      if (value === false || value === null) {
+        delete result[key];
+      } else if (value === 'all' || isStringList(value)) {
+        result[key] = value;
+      } else {
+        throw new Error('paymentMethods.' + key + ' must be "all", a list of payment method ids or false');
+      }
+    });
+
+    var enabled = Object.keys(result);
+    if (enabled.length === 0) throw new Error('paymentMethods leaves no payment method enabled');
+
+    if (options.minInstallments != null) {
+      if (!isInstallments(options.minInstallments)) {
+        throw new Error('paymentMethods.minInstallments must be an integer between 1 and ' + MAX_INSTALLMENTS);
+      }
+      result.minInstallments = options.minInstallments;
+    }
+    if (options.maxInstallments != null) {
+      if (!isInstallments(options.maxInstallments)) {
+        throw new Error('paymentMethods.maxInstallments must be an integer between 1 and ' + MAX_INSTALLMENTS);
+      }
+      result.maxInstallments = options.maxInstallments;
+    }
+    if (result.minInstallments && result.maxInstallments && result.minInstallments > result.maxInstallments) {
+      throw new Error('paymentMethods.minInstallments is greater than maxInstallments');
+    }
+
+    if (options.excludedPaymentTypes != null) {
+      if (!isStringList(options.excludedPaymentTypes)) {
+        throw new Error('paymentMethods.excludedPaymentTypes must be a non-empty list of payment type ids');
+      }
+      options.excludedPaymentTypes.forEach(function (type) {
+        if (PAYMENT_TYPES.indexOf(type) === -1) {
+          throw new Error('paymentMethods.excludedPaymentTypes: unknown payment type "' + type + '"');
+        }
+      });
+      result.types = { excluded: options.excludedPaymentTypes.slice() };
+    }
+
+    return result;
+  }
+
+  /**
+   * Builds customization.visual from config.visual:
+   *   theme: 'default' | 'dark' | 'bootstrap' | 'flat',
+   *   customVariables: {baseColor: '#5A3269', ...} (string/number values),
+   *   hidePaymentButton: boolean.
+   * Throws an Error naming the offending field.
+   */
+  function buildVisual(options) {
+    options = options || {};
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('visual must be an object');
+    }
+
+    var theme = options.theme == null ? 'default' : options.theme;
+    if (THEMES.indexOf(theme) === -1) {
+      throw new Error('visual.theme must be one of ' + THEMES.join(', '));
+    }
+    var result = { style: { theme: theme } };
+
+    if (options.customVariables != null) {
+      var vars = options.customVariables;
+      if (typeof vars !== 'object' || Array.isArray(vars)) {
+        throw new Error('visual.customVariables must be an object');
+      }
+      Object.keys(vars).forEach(function (name) {
+        var value = vars[name];
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          throw new Error('visual.customVariables.' + name + ' must be a string or a number');
+        }
+      });
+      result.style.customVariables = vars;
+    }
+
+    if (options.hidePaymentButton != null) {
+      if (typeof options.hidePaymentButton !== 'boolean') {
+        throw new Error('visual.hidePaymentButton must be a boolean');
+      }
+      result.hidePaymentButton = options.hidePaymentButton;
+    }
+
+    return result;
+  }
+
+  /**
+   * Builds the error object described in the header for a catalog code.
+   * Unknown codes fall back to 'unknown' but keep the original code in cause.
+   */
+  function paymentError(code, cause) {
+    var entry = ERROR_CATALOG[code];
+    if (!entry) {
+      cause = cause || {};
+      cause.unmappedCode = code;
+      code = 'unknown';
+      entry = ERROR_CATALOG.unknown;
+    }
+    return { code: code, category: entry[0], message: entry[1], cause: redact(cause || null) };
+  }
+
+  /**
+   * Maps a non-2xx backend answer. A status_detail relayed by the backend
+   * wins over the HTTP status, since it is what tells the buyer what to fix.
+   */
+  function httpPaymentError(httpStatus, body) {
+    var cause = { source: 'http', httpStatus: httpStatus, body: body };
+    var detail = body && (body.status_detail || body.statusDetail);
+    if (detail && ERROR_CATALOG[detail]) return paymentError(detail, cause);
+    if (httpStatus === 401 || httpStatus === 403) return paymentError('unauthorized', cause);
+    if (httpStatus === 404) return paymentError('not_found', cause);
+    if (httpStatus === 409) return paymentError('conflict', cause);
+    if (httpStatus === 408) return paymentError('timeout', cause);
+    if (httpStatus === 429) return paymentError('rate_limited', cause);
+    if (httpStatus >= 500) return paymentError('server_error', cause);
+    return paymentError('invalid_request', cause);
+  }
+
+  /**
+   * Maps a rejected payment payload ({status: 'rejected', status_detail}).
+   */
+  function rejectionError(data) {
+    var detail = data && data.status_detail;
+    var cause = { source: 'status_detail', status: data && data.status, statusDetail: detail || null };
+    return paymentError(detail && ERROR_CATALOG[detail] ? detail : 'payment_rejected', cause);
+  }
+
+  /**
+   * Maps an error thrown by the SDK (brick onError / create() rejection),
+   * {type: 'critical'|'non_critical', cause, message}, or by fetch.
+   */
+  function thrownPaymentError(error) {
+    if (error && error.paymentError) return error.paymentError;
+    var raw = error instanceof Error
+      ? { name: error.name, message: error.message }
+      : { type: error && error.type, cause: error && error.cause, message: error && error.message };
+    if (error && error.timedOut) return paymentError('timeout', { source: 'network', error: raw });
+    if (error && error.networkFailure) return paymentError('network_error', { source: 'network', error: raw });
+    if (error && error.type === 'critical') return paymentError('brick_critical', { source: 'sdk', error: raw });
+    return paymentError('brick_error', { source: 'sdk', error: raw });
+  }
+
+  /**
+   * Maps a MercadoPago payment status to the bridge event that reports it.
+   */
+  function statusEventName(status) {
+    if (APPROVED_STATUSES.indexOf(status) !== -1) return 'mpPaymentApproved';
+    if (REJECTED_STATUSES.indexOf(status) !== -1) return 'mpPaymentRejected';
+    return 'mpPaymentPending';
+  }
+
+  function isFinalStatus(status) {
+    return APPROVED_STATUSES.indexOf(status) !== -1 || REJECTED_STATUSES.indexOf(status) !== -1;
+  }
+
+  /**
+   * Dispatches mpPaymentApproved / mpPaymentPending / mpPaymentRejected for a
+   * backend payment payload ({id, status, status_detail, ...}).
+   */
+  function dispatchStatusEvent(data, containerId) {
+    var eventName = statusEventName(data && data.status);
+    log.info(eventName, { id: data && data.id, status: data && data.status });
+    if (eventName === 'mpPaymentRejected') {
+      var payload = {};
+      Object.keys(data).forEach(function (key) { payload[key] = data[key]; });
+      payload.error = rejectionError(data);
+      data = payload;
+    }
+    emit(eventName, containerId, JSON.stringify(data));
+  }
+
+  /**
+   * Reads the query params MercadoPago appends to callback_url when the buyer
+   * comes back from the bank (PSE), and the back_urls params of the Wallet
+   * Brick / Checkout Pro. Accepts both the Bricks names (payment_id, status)
+   * and the Checkout Pro ones (collection_id, collection_status). A Checkout
+   * Pro return without a payment (buyer backed out) has paymentId null and
+   * abandoned true. Returns null when this page load is not a return.
+   */
+  function parseRedirectReturn(search) {
+    var params = {};
+    (search || '').replace(/^\?/, '').split('&').forEach(function (pair) {
+      if (!pair) return;
+      var idx = pair.indexOf('=');
+      var key = idx === -1 ? pair : pair.substring(0, idx);
+      var value = idx === -1 ? '' : pair.substring(idx + 1);
+      try {
+        params[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+      } catch (e) { }
+    });
+
+    var paymentId = params.payment_id || params.collection_id || '';
+    var preferenceId = params.preference_id && params.preference_id !== 'null' ? params.preference_id : null;
+    var hasPayment = paymentId && paymentId !== 'null';
+    if (!hasPayment && !preferenceId) return null;
+    return {
+      paymentId: hasPayment ? paymentId : null,
+      status: params.status || params.collection_status || null,
+      externalReference: params.external_reference && params.external_reference !== 'null'
+        ? params.external_reference : null,
+      preferenceId: preferenceId,
+      abandoned: !hasPayment
+    };
+  }
+
+  // Query parameters MercadoPago appends to back_urls.
+  var REDIRECT_PARAMS = ['payment_id', 'collection_id', 'status', 'collection_status', 'external_reference',
+    'preference_id', 'payment_type', 'merchant_order_id', 'processing_mode', 'merchant_account_id', 'site_id'];
+
+  /**
+   * Removes the MercadoPago return parameters from the address bar (route
+   * and other parameters kept), so a reload or a shared copy of the return
+   * page doesn't poll and confirm the same payment again.
+   */
+  function clearRedirectReturn() {
+    if (!window.history || typeof window.history.replaceState !== 'function') return;
+    var loc = window.location;
+    var kept = (loc.search || '').replace(/^\?/, '').split('&').filter(function (pair) {
+      var key = pair.split('=')[0];
+      try { key = decodeURIComponent(key); } catch (e) { }
+      return pair && REDIRECT_PARAMS.indexOf(key) === -1;
+    });
+    try {
+      window.history.replaceState(window.history.state, '',
+        loc.pathname + (kept.length ? '?' + kept.join('&') : '') + (loc.hash || ''));
+    } catch (e) { }
+  }
+
+  /**
+   * Returns the host of an https URL, or null for anything else.
+   */
+  function httpsHost(url) {
+    var m = /^https:\/\/([a-z0-9.-]+)(:\d+)?([\/?#]|$)/i.exec(url || '');
+    return m ? m[1] : null;
+  }
+
+  /**
+   * Resolves with the Checkout Pro URL: options.preferenceUrl as given, or
+   * the init_point of a preference our backend creates from
+   * options.preference (POST options.backendUrl).
+   */
+  function checkoutProUrl(options) {
+    if (options.preferenceUrl) return Promise.resolve(options.preferenceUrl);
+    var headers = { 'Content-Type': 'application/json' };
+    if (options.authHeader) headers['Authorization'] = options.authHeader;
+    return fetchWithTimeout(options.backendUrl, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(options.preference || {})
+    }, PAYMENT_TIMEOUT_MS).then(function (response) {
+      return response.json().catch(function () { return {}; }).then(function (data) {
+        if (!response.ok) {
+          var failure = new Error(data.error || data.message || 'Preference creation failed');
+          failure.paymentError = httpPaymentError(response.status, data);
+          throw failure;
+        }
+        return data.init_point || data.initPoint || data.preferenceUrl || null;
+      });
+    });
+  }
+
+  /**
+   * Polls the backend for the final status of a payment with exponential
+   * backoff. The query-string status is never trusted on its own (anyone can
+   * type ?status=approved), the backend answer is the source of truth.
+   * Resolves with the last payload (or null if the backend never answered).
+   */
+  function pollStatus(options) {
+    if (activePoll) activePoll.cancelled = true;
+    var token = { cancelled: false };
+    activePoll = token;
+
+    var statusUrl = options.statusUrl;
+    var url = statusUrl.indexOf('{paymentId}') !== -1
+      ? statusUrl.replace('{paymentId}', encodeURIComponent(options.paymentId))
+      : statusUrl.replace(/\/$/, '') + '/' + encodeURIComponent(options.paymentId);
+    var maxAttempts = options.maxAttempts || 8;
+    var delay = options.initialDelayMs || 2000;
+    var maxDelay = options.maxDelayMs || 15000;
+    var headers = {};
+    if (options.authHeader) headers['Authorization'] = options.authHeader;
+
+    var lastData = null;
+    var attempt = 0;
+
+    function wait(ms) {
+      return new Promise(function (resolve) { setTimeout(resolve, ms); });
+    }
+
+    function next() {
+      if (token.cancelled) return Promise.resolve(lastData);
+      attempt++;
+      return fetch(url, { method: 'GET', headers: headers })
+        .then(function (response) {
+          if (!response.ok) return null;
+          return response.json();
+        })
+        .catch(function () { return null; })
+        .then(function (data) {
+          if (token.cancelled) return lastData;
+          if (data && data.status) lastData = data;
+          if (lastData && isFinalStatus(lastData.status)) return lastData;
+          if (attempt >= maxAttempts) return lastData;
+          log.debug('Payment still in flight, polling again', {
+            status: lastData ? lastData.status : null, delayMs: delay, attempt: attempt, maxAttempts: maxAttempts
+          });
+          var current = delay;
+          delay = Math.min(delay * 2, maxDelay);
+          return wait(current).then(next);
+        });
+    }
+
+    return next().then(function (data) {
+      if (activePoll === token) activePoll = null;
+      if (token.cancelled) return data;
+      if (data) {
+        dispatchStatusEvent(data);
+      } else {
+        // Backend never answered: report pending with what the redirect told
+        // us so the checkout can show "we are confirming your payment".
+        dispatchStatusEvent({
+          id: options.paymentId,
+          status: 'pending',
+          status_detail: 'status_unavailable',
+          external_reference: options.externalReference || null
+        });
+      }
+      return data;
+    });
   }
 
   window.MercadoPagoBridge = {
     /**
      * Initializes the MercadoPago SDK with the given public key.
      * @param {string} publicKey - MercadoPago public key (APP_USR-xxx)
+     * @param {object} [options] - Optional settings:
+     *   clientIp: {
+     *     skip: true to never look up the IP in the browser (the backend
+     *       derives it from X-Forwarded-For),
+     *     resolvers: ordered list of URLs or {url, timeoutMs} answering the
+     *       caller's IPv4 as JSON ({ip}) or text, e.g. our backend echo
+     *       endpoint, then 'https://api.ipify.org?format=json'. Defaults
+     *       to api.ipify.org alone; an empty list disables the lookup (and
+     *       renderPaymentBrick warns when PSE is enabled that way),
+     *     timeoutMs: per-resolver timeout (default 1500)
+     *   },
+     *   debug: true for the verbose (still redacted) console trace
+     * @returns {Promise<{deviceSessionId: string}>} resolves once the SDK is
+     *   up and the device fingerprint is available (or stopped being waited
+     *   for); rejects with sdk_not_loaded when the SDK script is missing.
      */
-    init: function (publicKey) {
+    init: function (publicKey, options) {
+      if (options && options.debug === true) logLevel = 'debug';
+
+      var clientIp = (options && options.clientIp) || {};
+      ipLookup = {
+        skip: clientIp.skip === true,
+        resolvers: Array.isArray(clientIp.resolvers) ? clientIp.resolvers.filter(function (r) {
+          return (typeof r === 'string' && r) || (r && typeof r.url === 'string' && r.url);
+        }) : DEFAULT_IP_RESOLVERS,
+        timeoutMs: clientIp.timeoutMs > 0 ? clientIp.timeoutMs : 1500
+      };
+      cachedPublicIpv4 = null;
+
       if (!window.MercadoPago) {
-        console.error('MercadoPagoBridge: MercadoPago SDK not loaded');
-        return;
+        log.error('MercadoPago SDK not loaded');
+        return handled(Promise.reject(toRejection(paymentError('sdk_not_loaded', { source: 'bridge' }))));
       }
       mp = new MercadoPago(publicKey, { locale: 'es-CO' });
-      console.log('MercadoPagoBridge: SDK initialized');
+      log.info('SDK initialized');
 
       // Try to capture device ID right after SDK init
       var earlyId = getDeviceSessionId();
       if (earlyId) {
-        console.log('MercadoPagoBridge: Device ID captured at init:', earlyId.substring(0, 10) + '...');
+        log.debug('Device ID captured at init', { deviceId: earlyId.substring(0, 10) + '...' });
       }
+
+      return waitForDeviceSessionId().then(function (deviceSessionId) {
+        if (!deviceSessionId) log.warn('Device fingerprint not available after init');
+        return { deviceSessionId: deviceSessionId };
+      });
     },
 
     /**
@@ -108,31 +1090,55 @@
      *   payer: {email, firstName, lastName} (optional),
      *   items: [{id, title, description, category_id, quantity, unit_price}] (optional),
      *   externalReference: string (optional),
-     *   notificationUrl: string (optional)
+     *   notificationUrl: string (optional),
+     *   paymentMethods: see buildPaymentMethods (optional, defaults to
+     *     credit + debit + PSE),
+     *   visual: {theme, customVariables, hidePaymentButton} (optional)
+     * Invalid paymentMethods / visual values dispatch mpBrickError and the
+     * brick is not rendered.
+     * @returns {object} handle {containerId, ready, result, update, unmount}:
+     *   ready resolves on the brick's onReady; result resolves with the
+     *   backend payload of the first payment that was not refused (failed
+     *   and rejected attempts leave the brick open for another try; pending
+     *   PSE payments resolve it) and rejects if the brick fails
+     *   or is unmounted first; update({amount, payer, items,
+     *   externalReference}) changes them in place (see updateBrick).
      */
     renderPaymentBrick: function (config) {
+      var containerId = config.containerId;
       if (!mp) {
-        console.error('MercadoPagoBridge: SDK not initialized. Call init() first.');
-        return;
+        log.error('SDK not initialized. Call init() first.');
+        return failedHandle(containerId, paymentError('sdk_not_initialized', { source: 'bridge' }));
       }
 
-      var containerId = config.containerId;
       var amount = config.amount;
       var backendUrl = config.backendUrl;
       var authHeader = config.authHeader;
       var storeId = config.storeId;
       var payerData = config.payer || {};
-      var itemsData = config.items || [];
-      var externalRef = config.externalReference || null;
       var notifUrl = config.notificationUrl || null;
+      // Without an external reference two carts with the same amount can't be
+      // told apart, so the idempotency key is scoped to this render instead.
+      var renderRef = 'render:' + randomNonce();
 
-      // Destroy previous brick if exists
-      if (brickController) {
-        try { brickController.unmount(); } catch (e) { }
-        brickController = null;
+      var paymentMethods;
+      var visual;
+      try {
+        paymentMethods = buildPaymentMethods(config.paymentMethods);
+        visual = buildVisual(config.visual);
+      } catch (e) {
+        log.error('Invalid brick configuration', { containerId: containerId, error: e.message });
+        var configError = paymentError('invalid_configuration', { source: 'config', message: e.message });
+        emit('mpBrickError', containerId, JSON.stringify(configError));
+        return failedHandle(containerId, configError);
       }
 
-      var bricksBuilder = mp.bricks();
+      // PSE can reject a pure IPv6 ip_address, and with the resolvers emptied
+      // nothing sends the X-client-ipv4 fallback: make that visible.
+      if (paymentMethods.bankTransfer && !ipLookup.skip && ipLookup.resolvers.length === 0) {
+        log.warn('PSE enabled with no clientIp resolver: X-client-ipv4 will not be sent ' +
+          '(pass init options.clientIp.resolvers, or clientIp.skip if the backend derives it)');
+      }
 
       // Build initialization with payer pre-fill (entityType required for PSE)
       var initConfig = { amount: amount };
@@ -147,34 +1153,37 @@
         }
       }
 
-      bricksBuilder.create('payment', containerId, {
+      var entry = registerBrick('payment', containerId);
+      // Everything onSubmit sends that can change while the brick is mounted
+      // (updateAmount / updatePayer / handle.update write here). Read on every
+      // submit, never captured at render time.
+      var state = entry.state;
+      state.amount = amount;
+      state.payer = {};
+      Object.keys(payerData).forEach(function (key) { state.payer[key] = payerData[key]; });
+      state.items = config.items || [];
+      state.externalReference = config.externalReference || null;
+
+      createBrick(entry, {
         initialization: initConfig,
         customization: {
-          paymentMethods: {
-            creditCard: 'all',
-            debitCard: 'all',
-            bankTransfer: 'all'
-          },
-          visual: {
-            style: {
-              theme: 'default'
-            }
-          }
+          paymentMethods: paymentMethods,
+          visual: visual
         },
         callbacks: {
           onReady: function () {
-            window.mpBrickReady = true;
-            console.log('MercadoPagoBridge: Brick ready');
+            markReady(entry);
+            log.info('Brick ready', { containerId: containerId });
 
             // Capture device ID as early as possible (security.js should have loaded by now)
             var earlyId = getDeviceSessionId();
-            console.log('MercadoPagoBridge: Device ID at onReady:', earlyId ? earlyId.substring(0, 10) + '...' : 'NOT AVAILABLE');
+            log.debug('Device ID at onReady', { deviceId: earlyId ? earlyId.substring(0, 10) + '...' : null });
 
-            window.dispatchEvent(new CustomEvent('mpBrickReady'));
+            emit('mpBrickReady', containerId);
           },
           onSubmit: function (param) {
             // Log all param keys to discover additional Brick data
-            console.log('MercadoPagoBridge: onSubmit param keys:', Object.keys(param));
+            log.debug('onSubmit param keys', Object.keys(param));
 
             var formData = param.formData;
             // Add store_id to the request (snake_case to match DTO)
@@ -185,6 +1194,10 @@
               formData.callback_url = window.location.origin + window.location.pathname;
             }
 
+            var payerData = state.payer;
+            var itemsData = state.items || [];
+            var externalRef = state.externalReference;
+
             // Enrich payer data with first_name and last_name
             if (payerData.firstName || payerData.lastName) {
               if (!formData.payer) formData.payer = {};
@@ -228,18 +1241,20 @@
             var deviceSessionId = getDeviceSessionId();
 
             // ── Idempotency key (mandatory per MercadoPago) ──
-            var idempotencyKey = 'pay_' + storeId + '_' + Date.now() + '_'
-              + Math.random().toString(36).substr(2, 9);
+            // Stable for this checkout: a retry or double submit reuses it.
+            var checkoutIdentity = [storeId, externalRef || renderRef, state.amount].join('|');
+            var idempotencyKey = idempotencyKeyFor(storeId, checkoutIdentity);
 
-            console.log('MercadoPagoBridge: onSubmit, sending to backend...');
-            console.log('MercadoPagoBridge: deviceSessionId =', deviceSessionId || '(EMPTY)');
-            console.log('MercadoPagoBridge: formData =', JSON.stringify(formData, null, 2));
+            log.info('onSubmit, sending to backend', { containerId: containerId, hasDeviceSessionId: !!deviceSessionId });
+            log.debug('onSubmit formData', formData);
 
             return getPublicIpv4().then(function (publicIpv4) {
               if (publicIpv4) {
-                console.log('MercadoPagoBridge: publicIpv4 fallback =', publicIpv4);
+                log.debug('publicIpv4 fallback available');
+              } else if (ipLookup.skip) {
+                log.debug('publicIpv4 lookup skipped (backend derives it)');
               } else {
-                console.log('MercadoPagoBridge: publicIpv4 fallback not available');
+                log.debug('publicIpv4 fallback not available');
               }
 
               var headers = {
@@ -252,64 +1267,371 @@
                 headers['X-client-ipv4'] = publicIpv4;
               }
 
-              return fetch(backendUrl, {
+              return postPayment(backendUrl, {
                 method: 'POST',
                 headers: headers,
                 body: JSON.stringify(formData)
               });
             })
               .then(function (response) {
-                return response.json().then(function (data) {
+                // A proxy 502 answers HTML: treat an unreadable body as empty
+                // so the HTTP status still drives the error mapping.
+                return response.json().catch(function () { return {}; }).then(function (data) {
                   if (!response.ok) {
-                    throw new Error(data.error || data.message || 'Payment processing failed');
+                    // Only a confirmed refusal gets the buyer a fresh key; a
+                    // 409 means the first payment may still be processing,
+                    // and a new key could charge them twice.
+                    if (isDefinitiveRefusal(response.status, data)) rotateIdempotencyKey(checkoutIdentity);
+                    var failure = new Error(data.error || data.message || 'Payment processing failed');
+                    failure.paymentError = httpPaymentError(response.status, data);
+                    throw failure;
                   }
-                  console.log('MercadoPagoBridge: Payment result', data);
-                  window.dispatchEvent(new CustomEvent('mpPaymentSuccess', {
-                    detail: JSON.stringify(data)
-                  }));
+                  var refused = !!(data && REJECTED_STATUSES.indexOf(data.status) !== -1);
+                  if (refused) rotateIdempotencyKey(checkoutIdentity);
+                  log.info('Payment result', { id: data && data.id, status: data && data.status, statusDetail: data && data.status_detail });
+                  emit('mpPaymentSuccess', containerId, JSON.stringify(data));
+                  // PSE answers pending + a bank redirect; the final status
+                  // arrives through handleRedirectReturn after the round trip.
+                  if (data && data.status) dispatchStatusEvent(data, containerId);
+                  // A refused card keeps the brick open for another try, so
+                  // result waits for a payment that went through.
+                  if (!refused) entry.resultDeferred.resolve(data);
                   return data;
                 });
               })
               .catch(function (error) {
-                console.error('MercadoPagoBridge: Payment error', error);
-                window.dispatchEvent(new CustomEvent('mpPaymentError', {
-                  detail: error.message || 'Error processing payment'
-                }));
+                log.error('Payment error', error);
+                emit('mpPaymentError', containerId, JSON.stringify(thrownPaymentError(error)));
                 throw error;
               });
           },
           onError: function (error) {
-            console.error('MercadoPagoBridge: Brick error', error);
-            window.dispatchEvent(new CustomEvent('mpBrickError', {
-              detail: error.message || 'Payment brick error'
-            }));
+            log.error('Brick error', error);
+            var brickError = thrownPaymentError(error);
+            emit('mpBrickError', containerId, JSON.stringify(brickError));
+            if (brickError.category === 'fatal') {
+              entry.readyDeferred.reject(toRejection(brickError));
+              entry.resultDeferred.reject(toRejection(brickError));
+            }
           }
         }
-      }).then(function (controller) {
-        brickController = controller;
-        console.log('MercadoPagoBridge: Brick created successfully');
+      }).then(function () {
+        log.debug('Brick created successfully', { containerId: containerId });
       }).catch(function (error) {
-        console.error('MercadoPagoBridge: Error creating brick', error);
-        window.dispatchEvent(new CustomEvent('mpBrickError', {
-          detail: error.message || 'Error creating payment brick'
-        }));
+        log.error('Error creating brick', error);
+        emit('mpBrickError', containerId, JSON.stringify(thrownPaymentError(error)));
       });
+
+      return brickHandle(entry);
     },
 
     /**
-     * Destroys the current brick instance.
+     * Renders the Status Screen Brick (voucher, pending instructions and
+     * rejection reasons as shown by MercadoPago) inside the given container.
+     * Rendering into a container that already holds a brick replaces it;
+     * other containers are left alone.
+     * @param {object} config - Configuration object with:
+     *   containerId, paymentId (required),
+     *   backUrls: {return, error} (optional)
+     * @returns {object} handle like renderPaymentBrick's (result never
+     *   resolves: the status screen has no outcome of its own).
      */
-    destroy: function () {
-      if (brickController) {
-        try {
-          brickController.unmount();
-          console.log('MercadoPagoBridge: Brick destroyed');
-        } catch (e) {
-          console.warn('MercadoPagoBridge: Error destroying brick', e);
+    renderStatusScreen: function (config) {
+      var containerId = config.containerId;
+      if (!mp) {
+        log.error('SDK not initialized. Call init() first.');
+        return failedHandle(containerId, paymentError('sdk_not_initialized', { source: 'bridge' }));
+      }
+
+      var backUrls = config.backUrls || null;
+
+      var customization = {};
+      if (backUrls && (backUrls['return'] || backUrls.error)) {
+        customization.backUrls = {};
+        if (backUrls['return']) customization.backUrls['return'] = backUrls['return'];
+        if (backUrls.error) customization.backUrls.error = backUrls.error;
+      }
+
+      var entry = registerBrick('statusScreen', containerId);
+
+      createBrick(entry, {
+        initialization: { paymentId: String(config.paymentId) },
+        customization: customization,
+        callbacks: {
+          onReady: function () {
+            markReady(entry);
+            log.info('Status screen ready', { containerId: containerId });
+            emit('mpStatusReady', containerId);
+          },
+          onError: function (error) {
+            log.error('Status screen error', error);
+            var statusError = thrownPaymentError(error);
+            emit('mpStatusError', containerId, JSON.stringify(statusError));
+            if (statusError.category === 'fatal') entry.readyDeferred.reject(toRejection(statusError));
+          }
+        }
+      }).then(function () {
+        log.debug('Status screen created successfully', { containerId: containerId });
+      }).catch(function (error) {
+        log.error('Error creating status screen', error);
+        emit('mpStatusError', containerId, JSON.stringify(thrownPaymentError(error)));
+      });
+
+      return brickHandle(entry);
+    },
+
+    /**
+     * Renders the Wallet Brick (pay with the Mercado Pago account balance,
+     * credits or saved cards) for a preference our backend created. The buyer
+     * pays on MercadoPago and comes back through the preference back_urls:
+     * call handleRedirectReturn on that page load to get the same
+     * mpPaymentApproved / mpPaymentPending / mpPaymentRejected events as the
+     * card flow.
+     * @param {object} config - Configuration object with:
+     *   containerId, preferenceId (required),
+     *   redirectMode: 'self' (default) | 'blank' | 'modal' (optional)
+     * @returns {object} handle like renderPaymentBrick's (result never
+     *   resolves: the outcome arrives after the redirect).
+     */
+    renderWalletBrick: function (config) {
+      var containerId = config.containerId;
+      if (!mp) {
+        log.error('SDK not initialized. Call init() first.');
+        return failedHandle(containerId, paymentError('sdk_not_initialized', { source: 'bridge' }));
+      }
+
+      var redirectMode = config.redirectMode == null ? 'self' : config.redirectMode;
+      if (!config.preferenceId || WALLET_REDIRECT_MODES.indexOf(redirectMode) === -1) {
+        var message = !config.preferenceId
+          ? 'preferenceId is required'
+          : 'redirectMode must be one of ' + WALLET_REDIRECT_MODES.join(', ');
+        log.error('Invalid wallet brick configuration', { containerId: containerId, error: message });
+        var configError = paymentError('invalid_configuration', { source: 'config', message: message });
+        emit('mpWalletError', containerId, JSON.stringify(configError));
+        return failedHandle(containerId, configError);
+      }
+
+      var entry = registerBrick('wallet', containerId);
+
+      createBrick(entry, {
+        initialization: {
+          preferenceId: String(config.preferenceId),
+          redirectMode: redirectMode
+        },
+        callbacks: {
+          onReady: function () {
+            markReady(entry);
+            log.info('Wallet brick ready', { containerId: containerId });
+            emit('mpWalletReady', containerId);
+          },
+          onError: function (error) {
+            log.error('Wallet brick error', error);
+            var walletError = thrownPaymentError(error);
+            emit('mpWalletError', containerId, JSON.stringify(walletError));
+            if (walletError.category === 'fatal') entry.readyDeferred.reject(toRejection(walletError));
+          }
+        }
+      }).then(function () {
+        log.debug('Wallet brick created successfully', { containerId: containerId });
+      }).catch(function (error) {
+        log.error('Error creating wallet brick', error);
+        emit('mpWalletError', containerId, JSON.stringify(thrownPaymentError(error)));
+      });
+
+      return brickHandle(entry);
+    },
+
+    /**
+     * Sends the buyer to Checkout Pro (MercadoPago-hosted checkout). Works
+     * without init(): no brick, no SDK. The return comes through the
+     * preference back_urls, see handleRedirectReturn.
+     * @param {object} options - Either
+     *   preferenceUrl: the init_point our backend already created, or
+     *   backendUrl, authHeader, preference: POSTed to our backend, which
+     *     answers {init_point} for a new preference.
+     * @returns {Promise<string>} resolves with the URL right before leaving;
+     *   rejects (and dispatches mpPaymentError) if there is nowhere safe to go.
+     */
+    checkoutPro: function (options) {
+      options = options || {};
+      if (!options.preferenceUrl && !options.backendUrl) {
+        var missing = paymentError('invalid_configuration', {
+          source: 'config', message: 'checkoutPro needs preferenceUrl or backendUrl'
+        });
+        emit('mpPaymentError', null, JSON.stringify(missing));
+        return handled(Promise.reject(toRejection(missing)));
+      }
+
+      return handled(checkoutProUrl(options).then(function (url) {
+        var host = httpsHost(url);
+        if (!host || !CHECKOUT_PRO_HOST.test(host)) {
+          var badUrl = new Error('Refusing to redirect to a non-MercadoPago URL');
+          badUrl.paymentError = paymentError('invalid_configuration', { source: 'config', host: host });
+          throw badUrl;
         }
-        brickController = null;
+        log.info('Redirecting to Checkout Pro', { host: host });
+        window.location.assign(url);
+        return url;
+      })['catch'](function (error) {
+        log.error('Checkout Pro error', error);
+        var checkoutError = thrownPaymentError(error);
+        emit('mpPaymentError', null, JSON.stringify(checkoutError));
+        throw toRejection(checkoutError);
+      }));
+    },
+
+    /**
+     * Changes the amount of a mounted Payment Brick in place (shipping option,
+     * coupon...) without losing what the buyer typed.
+     * @param {number} newAmount
+     * @param {string} [containerId] - defaults to every mounted Payment Brick
+     * @returns {Promise<boolean>} false when the SDK can't update in place
+     *   and the brick has to be rendered again
+     */
+    updateAmount: function (newAmount, containerId) {
+      return updatePaymentBricks(containerId, { amount: newAmount });
+    },
+
+    /**
+     * Merges payer fields (firstName, lastName, address, phone...) into what
+     * a mounted Payment Brick sends on submit.
+     * @param {object} partial
+     * @param {string} [containerId] - defaults to every mounted Payment Brick
+     * @returns {Promise<boolean>}
+     */
+    updatePayer: function (partial, containerId) {
+      return updatePaymentBricks(containerId, { payer: partial || {} });
+    },
+
+    /**
+     * Destroys the brick mounted in containerId. Without an argument it
+     * destroys every brick (the pre-registry behavior of destroy()).
+     * @param {string} [containerId]
+     * @returns {Promise<boolean>} whether there was a brick to destroy
+     */
+    destroy: function (containerId) {
+      if (containerId == null) {
+        return window.MercadoPagoBridge.destroyAll();
       }
-      window.mpBrickReady = false;
+      var destroyed = unmountBrick(containerId);
+      if (destroyed) {
+        log.info('Brick destroyed', { containerId: containerId });
+      }
+      return Promise.resolve(destroyed);
+    },
+
+    /**
+     * Destroys every mounted brick.
+     * @returns {Promise<boolean>} whether there was any brick to destroy
+     */
+    destroyAll: function () {
+      var ids = Object.keys(bricks);
+      ids.forEach(unmountBrick);
+      syncReadyFlags();
+      log.info('All bricks destroyed');
+      return Promise.resolve(ids.length > 0);
+    },
+
+    /**
+     * Whether a brick has been created in containerId and not destroyed since.
+     * @param {string} containerId
+     * @returns {boolean}
+     */
+    isMounted: function (containerId) {
+      var entry = bricks[containerId];
+      return !!(entry && entry.controller);
+    },
+
+    /**
+     * Returns {paymentId, status, externalReference, preferenceId, abandoned}
+     * when the current page load is the buyer coming back from a PSE / bank
+     * redirect or from the Wallet Brick / Checkout Pro, else null.
+     */
+    getRedirectReturn: function () {
+      return parseRedirectReturn(window.location.search);
+    },
+
+    /**
+     * Polls the backend until the payment reaches a final status (or the
+     * attempts run out) and dispatches mpPaymentApproved / mpPaymentPending /
+     * mpPaymentRejected with the JSON payload as detail.
+     * @param {object} options - Options object with:
+     *   paymentId, statusUrl (required; '{paymentId}' placeholder or base URL),
+     *   authHeader, externalReference (optional),
+     *   maxAttempts (default 8), initialDelayMs (default 2000),
+     *   maxDelayMs (default 15000)
+     * @returns {Promise<object|null>} the last payload the backend answered
+     */
+    pollPaymentStatus: function (options) {
+      if (!options || !options.paymentId || !options.statusUrl) {
+        log.error('pollPaymentStatus needs paymentId and statusUrl');
+        return Promise.resolve(null);
+      }
+      return pollStatus(options);
+    },
+
+    /**
+     * Checks for a PSE / Wallet / Checkout Pro redirect return and, if there
+     * is one, starts polling. A Checkout Pro return without a payment (the
+     * buyer backed out) dispatches mpPaymentRejected right away with
+     * status_detail 'checkout_abandoned'.
+     * Returns true when a return was detected (the status events will follow);
+     * the MercadoPago parameters are then removed from the URL with
+     * history.replaceState, so a reload doesn't report the payment twice.
+     * @param {object} options - statusUrl, authHeader and the optional polling
+     *   settings of pollPaymentStatus.
+     */
+    handleRedirectReturn: function (options) {
+      var ret = parseRedirectReturn(window.location.search);
+      if (!ret) return false;
+      log.info('Redirect return detected', { paymentId: ret.paymentId, status: ret.status });
+      options = options || {};
+      if (!ret.abandoned && !options.statusUrl) {
+        log.error('handleRedirectReturn needs statusUrl');
+        return false;
+      }
+      clearRedirectReturn();
+      if (ret.abandoned) {
+        dispatchStatusEvent({
+          id: null,
+          status: 'cancelled',
+          status_detail: 'checkout_abandoned',
+          external_reference: ret.externalReference,
+          preference_id: ret.preferenceId
+        });
+        return true;
+      }
+      pollStatus({
+        paymentId: ret.paymentId,
+        externalReference: ret.externalReference,
+        statusUrl: options.statusUrl,
+        authHeader: options.authHeader,
+        maxAttempts: options.maxAttempts,
+        initialDelayMs: options.initialDelayMs,
+        maxDelayMs: options.maxDelayMs
+      });
+      return true;
+    },
+
+    /**
+     * Registers a function (e.g. a Dart callback) that receives every log
+     * entry at or above minLevel as a JSON string {level, message, data, time},
+     * redacted like the console output. Pass null to unregister.
+     * @param {function(string)|null} fn
+     * @param {string} [minLevel] - 'debug' | 'info' | 'warn' | 'error' (default 'info')
+     */
+    setLogSink: function (fn, minLevel) {
+      logSink = typeof fn === 'function'
+        ? { fn: fn, level: LOG_LEVELS[minLevel] ? minLevel : 'info' }
+        : null;
+    },
+
+    /**
+     * Stops a running payment status poll (no event is dispatched).
+     */
+    stopPolling: function () {
+      if (activePoll) activePoll.cancelled = true;
+      activePoll = null;
     }
   };
 })();
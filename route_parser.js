@@ -0,0 +1,163 @@
+/**
+ * Route parser shared by the boot scripts in index.html
+ *
+ * JS twin of lib/presentation/util/route_parser.dart: the hash->path
+ * migration, the store prefetch and the splash cache key all read the route
+ * through here instead of re-implementing the slug grammar inline.
+ *
+ * Grammar (segments of the path, or of the hash in the `#/...` form):
+ *   <name>_<storeId>   store slug: the first segment whose tail after the
+ *                      LAST underscore is numeric (teregalo_55, pet_store_55)
+ *   product_<id>       product detail
+ *   campaign_<id>      campaign landing
+ * Like Dart's extractStoreId, the store rule doesn't exclude product_ and
+ * campaign_ segments: a bare /product_196 is store 196 AND product 196.
+ * Changing that (e.g. for custom domains, where the store comes from the
+ * host) has to land in route_parser.dart first, then here and in the test
+ * table.
+ * Query strings may sit on the page URL, inside the hash, or both; they are
+ * merged (page first).
+ *
+ * Node: `require('./route_parser')`. Browser: window.RouteParser. Loaded by a
+ * blocking <script> in <head> so the inline boot scripts can use it.
+ * Tests: test/route_parser.test.js (shared URLs; keep in sync with Dart).
+ */
+(function (root) {
+  var STORE_SLUG = /^(.+)_(\d+)$/;
+  var ENTITY_SEGMENT = /^(product|campaign)_(\d+)$/;
+  // Cart / checkout screens (GoRouter paths, Spanish alias included).
+  var CHECKOUT_SEGMENTS = ['checkout', 'cart', 'carrito'];
+
+  function decode(text) {
+    try {
+      return decodeURIComponent(text.replace(/\+/g, ' '));
+    } catch (e) {
+      return text;
+    }
+  }
+
+  /** Splits a URL or route string into {pathname, search, hash}. */
+  function splitUrl(url) {
+    var rest = String(url).replace(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i, '');
+    var hashAt = rest.indexOf('#');
+    var hash = hashAt === -1 ? '' : rest.slice(hashAt);
+    if (hashAt !== -1) rest = rest.slice(0, hashAt);
+    var searchAt = rest.indexOf('?');
+    return {
+      pathname: searchAt === -1 ? rest : rest.slice(0, searchAt),
+      search: searchAt === -1 ? '' : rest.slice(searchAt),
+      hash: hash
+    };
+  }
+
+  /** '?a=1&b=' -> {a: '1', b: ''}; the first value of a repeated key wins. */
+  function parseQuery(search) {
+    var query = {};
+    search.replace(/^\?/, '').split('&').forEach(function (pair) {
+      if (!pair) return;
+      var eq = pair.indexOf('=');
+      var key = decode(eq === -1 ? pair : pair.slice(0, eq));
+      if (!Object.prototype.hasOwnProperty.call(query, key)) {
+        query[key] = eq === -1 ? '' : decode(pair.slice(eq + 1));
+      }
+    });
+    return query;
+  }
+
+  function joinSearch(a, b) {
+    var parts = [a, b].map(function (s) { return s.replace(/^\?/, ''); }).filter(Boolean);
+    return parts.length ? '?' + parts.join('&') : '';
+  }
+
+  /**
+   * Parses a location (window.location or any {pathname, search, hash}) or a
+   * URL string. Returns:
+   *   path        canonical route, '/store_57/product_196' ('/' when empty)
+   *   search      merged query string including '?', or ''
+   *   query       decoded query parameters
+   *   fromHash    true for the legacy `#/...` form
+   *   segments    non-empty path segments
+   *   storeSlug, storeName, storeId, productId, campaignId  (string|null)
+   *   kind        'product' | 'campaign' | 'checkout' | 'store' | 'root', in
+   *               that order of precedence (the splash variant and the boot
+   *               telemetry route)
+   */
+  function parse(location) {
+    var loc = typeof location === 'string' ? splitUrl(location) : location || {};
+    var pathname = loc.pathname || '';
+    var search = loc.search || '';
+    var hash = loc.hash || '';
+    var fromHash = hash.indexOf('#/') === 0;
+    if (fromHash) {
+      var route = hash.slice(1);
+      var q = route.indexOf('?');
+      pathname = q === -1 ? route : route.slice(0, q);
+      search = joinSearch(search, q === -1 ? '' : route.slice(q));
+    }
+
+    var segments = pathname.split('/').filter(Boolean);
+    var result = {
+      path: '/' + segments.join('/'),
+      search: joinSearch(search, ''),
+      query: parseQuery(search),
+      fromHash: fromHash,
+      segments: segments,
+      storeSlug: null,
+      storeName: null,
+      storeId: null,
+      productId: null,
+      campaignId: null
+    };
+
+    segments.forEach(function (seg) {
+      var entity = ENTITY_SEGMENT.exec(seg);
+      if (entity) {
+        var field = entity[1] + 'Id';
+        if (!result[field]) result[field] = entity[2];
+      }
+      var store = STORE_SLUG.exec(seg);
+      if (store && !result.storeId) {
+        result.storeSlug = seg;
+        result.storeName = store[1];
+        result.storeId = store[2];
+      }
+    });
+    result.kind = kindOf(result);
+    return result;
+  }
+
+  function kindOf(route) {
+    if (route.productId) return 'product';
+    if (route.campaignId) return 'campaign';
+    var checkout = route.segments.some(function (seg) { return CHECKOUT_SEGMENTS.indexOf(seg) !== -1; });
+    if (checkout) return 'checkout';
+    return route.storeId ? 'store' : 'root';
+  }
+
+  /** Path-form URL for a parsed route (what the hash->path migration writes). */
+  function toPath(route) {
+    return route.path + route.search;
+  }
+
+  /**
+   * localStorage key part shared by the prefetch cache and the splash
+   * identity: 'store:<id>' when the URL names the store, else 'host:<host>'
+   * (custom domain; the store is resolved from the host).
+   */
+  function cacheKey(route, host) {
+    return route && route.storeId ? 'store:' + route.storeId : 'host:' + host;
+  }
+
+  var RouteParser = {
+    parse: parse,
+    parseQuery: parseQuery,
+    toPath: toPath,
+    cacheKey: cacheKey
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteParser;
+  } else {
+    root.RouteParser = RouteParser;
+  }
+})(typeof window !== 'undefined' ? window : this);
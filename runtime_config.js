@@ -0,0 +1,164 @@
+/**
+ * Runtime hosting configuration for the boot scripts in index.html
+ *
+ * One place for what used to be literals spread across inline scripts: the
+ * API gateway origin (preconnect + store prefetch), the mall host (keeps
+ * hash URLs), the dev hosts and the base href the build is served under.
+ *
+ * Environments (production is the default; the others only list overrides
+ * of production, or of the environment named in `inherits`):
+ *   development  localhost / 127.0.0.1
+ *   preview      builds served under a sub-path, i.e. built with
+ *                `flutter build web --base-href /preview/<name>/`; talks to
+ *                the staging gateway
+ *   staging      selected explicitly with
+ *                <meta name="app-environment" content="staging">
+ * An environment that declares apiBase never falls back to production's:
+ * while it is null, resolving that environment throws, so a staging or
+ * preview build can't quietly read and write production data. In the
+ * browser that becomes window.__runtimeConfig = {error}, and the boot
+ * scripts show a configuration error instead of booting.
+ * Selection order: the app-environment meta, then each environment's
+ * `match` rule (hostname or base href prefix), then production.
+ *
+ * Browser: loaded by a blocking <script> right after <base>, defines
+ * window.__runtimeConfig (see resolve() for its shape, or {error: message}
+ * when it throws).
+ * Node: `require('./runtime_config')` -> {ENVIRONMENTS, resolve}.
+ */
+(function (root) {
+  var ENVIRONMENTS = {
+    production: {
+      apiBase: 'https://virtual-store-api-gateway-609036400323.us-central1.run.app',
+      mallHost: 'madio-express.github.io',
+      // Any other *.github.io host is also static hosting (forks), never a
+      // custom domain mapped to a store.
+      pagesDomain: 'github.io',
+      devHosts: ['localhost', '127.0.0.1'],
+      // 'hash' | 'path'. null: hash on the mall host (GitHub Pages has no
+      // SPA rewrites), path everywhere else (edge-proxy rewrites to index).
+      routing: null,
+      // null: keep the <base href> written by flutter build.
+      baseHref: null,
+      // Opt-in offline shell (app_service_worker.js). Off: no service
+      // worker at all, and a previously registered one is removed.
+      offlineShell: false,
+      // Real-user boot timings (boot_telemetry.js), sent with sendBeacon to
+      // `collector` for a `sampleRate` share (0..1) of page loads. null
+      // collector: nothing is recorded or sent.
+      telemetry: { collector: null, sampleRate: 0.1 }
+    },
+    development: {
+      match: { hosts: ['localhost', '127.0.0.1'] }
+    },
+    preview: {
+      match: { baseHrefPrefix: '/preview/' },
+      inherits: 'staging',
+      // A sub-path on static hosting has no rewrites either.
+      routing: 'hash'
+    },
+    staging: {
+      // Staging gateway origin (Cloud Run URL of the staging deploy). Must be
+      // filled in before staging or preview builds can boot.
+      apiBase: null
+    }
+  };
+
+  /** [production, ..., env]: the environments whose values apply, in order. */
+  function chainOf(name) {
+    var chain = [];
+    for (var env = ENVIRONMENTS[name]; env; env = env.inherits && ENVIRONMENTS[env.inherits]) {
+      chain.unshift(env);
+    }
+    if (chain[0] !== ENVIRONMENTS.production) chain.unshift(ENVIRONMENTS.production);
+    return chain;
+  }
+
+  function matches(rule, hostname, baseHref) {
+    if (!rule) return false;
+    if (rule.hosts && rule.hosts.indexOf(hostname) !== -1) return true;
+    return !!rule.baseHrefPrefix && baseHref.indexOf(rule.baseHrefPrefix) === 0;
+  }
+
+  function pickEnvironment(requested, hostname, baseHref) {
+    if (requested && ENVIRONMENTS[requested]) return requested;
+    var names = Object.keys(ENVIRONMENTS);
+    for (var i = 0; i < names.length; i++) {
+      if (matches(ENVIRONMENTS[names[i]].match, hostname, baseHref)) return names[i];
+    }
+    return 'production';
+  }
+
+  /**
+   * Resolves the configuration for one page load.
+   * @param {object} page {hostname, baseHref, environment} where environment
+   *   is the app-environment meta content (optional).
+   * Throws when the environment's own apiBase (see the header) is not set.
+   * @returns {object} environment, apiBase, mallHost, devHosts, baseHref,
+   *   offlineShell, telemetry, routing ('hash'|'path'), isDevHost, isMallHost,
+   *   isCustomDomain (a host that maps to one store through the resolve
+   *   endpoint).
+   */
+  function resolve(page) {
+    var hostname = page.hostname || '';
+    var environment = pickEnvironment(page.environment, hostname, page.baseHref || '/');
+    var config = { environment: environment };
+    var chain = chainOf(environment);
+    Object.keys(ENVIRONMENTS.production).forEach(function (key) {
+      chain.forEach(function (env) {
+        if (env[key] != null) config[key] = env[key];
+      });
+    });
+    var apiOwner = chain.filter(function (env) {
+      return Object.prototype.hasOwnProperty.call(env, 'apiBase');
+    }).pop();
+    if (apiOwner.apiBase == null) {
+      throw new Error('runtime_config: no apiBase for the "' + environment + '" environment');
+    }
+    if (!config.baseHref) config.baseHref = page.baseHref || '/';
+
+    config.isDevHost = config.devHosts.indexOf(hostname) !== -1;
+    config.isMallHost = hostname === config.mallHost;
+    var onPages = hostname === config.pagesDomain ||
+      hostname.slice(-(config.pagesDomain.length + 1)) === '.' + config.pagesDomain;
+    config.isCustomDomain = !config.isDevHost && !config.isMallHost && !onPages;
+    if (!config.routing) config.routing = config.isMallHost ? 'hash' : 'path';
+    return config;
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ENVIRONMENTS: ENVIRONMENTS, resolve: resolve };
+    return;
+  }
+
+  var doc = root.document;
+  var baseEl = doc.querySelector('base');
+  var meta = doc.querySelector('meta[name="app-environment"]');
+  var config;
+  try {
+    config = resolve({
+      hostname: root.location.hostname,
+      baseHref: baseEl ? baseEl.getAttribute('href') : '/',
+      environment: meta ? meta.getAttribute('content') : null
+    });
+  } catch (e) {
+    // A throw here would leave every later head script reading an undefined
+    // config; they check `error` and the loader shows it instead.
+    root.__runtimeConfig = { error: e.message };
+    return;
+  }
+  // Runs before any relative URL in <head> is resolved, so an environment
+  // that pins its base href can still move it.
+  if (baseEl && baseEl.getAttribute('href') !== config.baseHref) {
+    baseEl.setAttribute('href', config.baseHref);
+  }
+  root.__runtimeConfig = config;
+
+  // Warm up the API gateway (store + products prefetch) in parallel with
+  // HTML parsing; the other preconnects in <head> are environment-agnostic.
+  var link = doc.createElement('link');
+  link.rel = 'preconnect';
+  link.href = config.apiBase;
+  link.crossOrigin = 'anonymous';
+  doc.head.appendChild(link);
+})(typeof window !== 'undefined' ? window : this);
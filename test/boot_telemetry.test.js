@@ -0,0 +1,108 @@
+/**
+ * Tests for boot_telemetry.js in a fake browser (no network: beacons are
+ * recorded by the harness). Run from the repo root with:
+ *
+ *   node tool/run_tests.js
+ */
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var harness = require('./support/telemetry_harness');
+
+var BUILD = 'f8fc821-20260723131135';
+
+test('records and sends nothing without a collector or outside the sample', function () {
+  [{ collector: null, sampleRate: 1 }, { collector: 'https://collector.test/boot', sampleRate: 0 }]
+    .forEach(function (telemetry) {
+      var page = harness.loadTelemetry({ telemetry: telemetry });
+      var promise = Promise.resolve(null);
+      assert.equal(page.telemetry.track('store', promise), promise);
+      page.telemetry.consumed('store');
+      page.dispatch('flutter-first-frame');
+      page.flushTimers();
+      page.hide();
+      assert.deepEqual(page.beacons, []);
+      assert.deepEqual(page.observedTypes(), []);
+    });
+});
+
+test('tracks prefetch settle, stale copies and consumption by take() or flag', async function () {
+  var page = harness.loadTelemetry();
+  page.clock.now = 12.4;
+  var store = page.telemetry.track('store', Promise.resolve({ id: '55', json: '{}' }));
+  var products = page.telemetry.track('products', Promise.resolve(null));
+  page.telemetry.track('campaigns', Promise.reject(new Error('offline'))).catch(function () {});
+  page.clock.now = 480;
+  await store;
+  await products;
+  await Promise.resolve();
+
+  page.clock.now = 900.6;
+  page.telemetry.consumed('store');
+  page.window.__storePrefetch = { productsConsumed: true, campaignsConsumed: false, cachedStore: { id: '55' } };
+  page.dispatch('flutter-first-frame');
+  page.flushTimers();
+
+  assert.equal(page.beacons.length, 1);
+  var prefetch = page.beacons[0].body.prefetch;
+  assert.deepEqual(prefetch.store, { start: 12, settle: 480, hit: true, cached: true, consumed: 901 });
+  assert.deepEqual(prefetch.products, { start: 12, settle: 480, hit: false, cached: false, consumed: true });
+  assert.equal(prefetch.campaigns.hit, false);
+  assert.equal(prefetch.campaigns.consumed, false, 'Dart fetched the campaigns itself');
+});
+
+test('payload carries timings, vitals and renderer, but no URL or query data', function () {
+  var page = harness.loadTelemetry({
+    location: {
+      pathname: '/dulces_dona_rosa_55/product_196',
+      search: '?email=comprador%40example.com&token=secret-123',
+      hash: ''
+    },
+    globals: { appBuildId: BUILD, flutterCanvasKit: {} }
+  });
+  page.telemetry.mark('boot-start');
+  page.observe('resource', [
+    { name: 'https://tienda.teregalo.co/main.dart.js?v=' + BUILD + '&_r=abc', startTime: 700.2, duration: 1500.7, transferSize: 2048 },
+    { name: 'https://tienda.teregalo.co/assets/fonts/x.otf?email=comprador@example.com', startTime: 1, duration: 2 }
+  ]);
+  page.observe('largest-contentful-paint', [{ startTime: 1800.4 }, { startTime: 2650.9 }]);
+  page.observe('layout-shift', [{ value: 0.05, hadRecentInput: false }, { value: 0.3, hadRecentInput: true }]);
+  page.observe('event', [{ interactionId: 0, duration: 400 }, { interactionId: 7, duration: 96 }]);
+  page.dispatch('flutter-first-frame');
+  page.hide();
+
+  assert.equal(page.beacons.length, 1);
+  var beacon = page.beacons[0];
+  assert.equal(beacon.url, 'https://collector.test/boot');
+  assert.equal(beacon.type, 'text/plain;charset=UTF-8');
+
+  var body = beacon.body;
+  assert.deepEqual(Object.keys(body).sort(), [
+    'build', 'env', 'failure', 'host', 'marks', 'nav', 'net', 'prefetch', 'renderer',
+    'resources', 'route', 'seq', 'session', 'v', 'vitals'
+  ]);
+  assert.equal(body.build, BUILD);
+  assert.equal(body.route, 'product');
+  assert.equal(body.host, 'custom');
+  assert.equal(body.renderer, 'canvaskit');
+  assert.deepEqual(body.marks.map(function (m) { return m.n; }), ['boot-start', 'first-frame']);
+  assert.deepEqual(body.resources, { entrypoint: { start: 700, duration: 1501, transfer: 2048 } });
+  assert.deepEqual(body.vitals, { lcp: 2651, cls: 0.05, inp: 96 });
+  assert.deepEqual(body.nav, { type: 'navigate', ttfb: 210, domInteractive: 640, load: null });
+
+  var sent = JSON.stringify(body);
+  ['http', '?', 'dulces', 'product_', 'example.com', 'secret-123', 'main.dart.js'].forEach(function (leak) {
+    assert.equal(sent.indexOf(leak), -1, leak + ' leaked into the beacon');
+  });
+});
+
+test('a boot failure is sent right away, and beacons are capped', function () {
+  var page = harness.loadTelemetry();
+  page.dispatch('appBootFailed', { stage: 'entrypoint', code: 'ENT-f8fc821-X', message: 'main.dart.js failed', retried: true });
+  assert.equal(page.beacons.length, 1);
+  assert.deepEqual(page.beacons[0].body.failure, { stage: 'entrypoint', code: 'ENT-f8fc821-X', retried: true });
+
+  for (var i = 0; i < 10; i++) page.hide();
+  assert.equal(page.beacons.length, 4);
+  assert.deepEqual(page.beacons.map(function (b) { return b.body.seq; }), [1, 2, 3, 4]);
+  assert.equal(new Set(page.beacons.map(function (b) { return b.body.session; })).size, 1);
+});
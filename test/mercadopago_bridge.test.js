@@ -0,0 +1,610 @@
+/**
+ * Offline tests for mercadopago_bridge.js (fake SDK + stub backend, no
+ * network, no real money). Run from the repo root with:
+ *
+ *   node tool/run_tests.js
+ */
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var harness = require('./support/bridge_harness');
+
+var BACKEND_URL = 'https://api.test/payments/process';
+var APPROVED = { id: 9001, status: 'approved', status_detail: 'accredited' };
+
+/** Copies a value built inside the VM realm into this one (deepEqual compares prototypes). */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/** Resolves with the first `name` event, polling the page's event log. */
+function waitForEvent(page, name) {
+  return new Promise(function (resolve, reject) {
+    var started = Date.now();
+    (function check() {
+      var found = page.eventsOf(name)[0];
+      if (found) return resolve(found);
+      if (Date.now() - started > 2000) return reject(new Error('no ' + name + ' event'));
+      setTimeout(check, 5);
+    })();
+  });
+}
+
+function cardFormData() {
+  return {
+    token: 'card-token-123',
+    payment_method_id: 'visa',
+    transaction_amount: 45000,
+    installments: 1,
+    payer: { email: 'comprador@example.com', identification: { type: 'CC', number: '1020304050' } }
+  };
+}
+
+function renderConfig(extra) {
+  return Object.assign({
+    containerId: 'paymentBrick_container',
+    amount: 45000,
+    backendUrl: BACKEND_URL,
+    authHeader: 'Bearer session-token',
+    storeId: 5
+  }, extra);
+}
+
+/** Loads the bridge, inits it and renders a Payment Brick. */
+function renderedBridge(options, config) {
+  var page = harness.loadBridge(options);
+  var initialized = page.bridge.init('TEST-public-key', options && options.init);
+  var handle = page.bridge.renderPaymentBrick(renderConfig(config));
+  return initialized.then(function () { return handle.ready; }).then(function () {
+    page.handle = handle;
+    page.brick = page.sdk.lastBrick();
+    return page;
+  });
+}
+
+test('getDeviceSessionId reads each of its seven sources', async function (t) {
+  var cases = [
+    ['SDK getDeviceProfile()', { sdk: { deviceProfile: { id: 'profile-id' } } }, 'profile-id'],
+    ['SDK deviceProfileId property', { sdk: { deviceProfileId: 'property-id' } }, 'property-id'],
+    ['security.js hidden input', { elements: { deviceId: { value: 'input-id' } } }, 'input-id'],
+    ['window.MP_DEVICE_SESSION_ID', { globals: { MP_DEVICE_SESSION_ID: 'global-id' } }, 'global-id'],
+    ['SDK _instanceProperties', { sdk: { instanceProperties: { deviceProfileId: 'internal-id' } } }, 'internal-id'],
+    ['MP_DEVICE_SESSION_ID cookie', { cookie: 'a=1; MP_DEVICE_SESSION_ID=cookie-id; b=2' }, 'cookie-id']
+  ];
+  for (var i = 0; i < cases.length; i++) {
+    var name = cases[i][0];
+    var options = cases[i][1];
+    var expected = cases[i][2];
+    await t.test(name, async function () {
+      var page = harness.loadBridge(options);
+      var result = await page.bridge.init('TEST-public-key');
+      assert.equal(result.deviceSessionId, expected);
+    });
+  }
+
+  await t.test('earlier sources win over later ones', async function () {
+    var page = harness.loadBridge({
+      sdk: { deviceProfile: { id: 'profile-id' } },
+      cookie: 'MP_DEVICE_SESSION_ID=cookie-id'
+    });
+    var result = await page.bridge.init('TEST-public-key');
+    assert.equal(result.deviceSessionId, 'profile-id');
+  });
+
+  await t.test('the value captured first is reused (source 1)', async function () {
+    var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'first-id' } });
+    page.window.MP_DEVICE_SESSION_ID = 'changed-id';
+    page.backend.on('POST', BACKEND_URL, { status: 201, body: APPROVED });
+    await page.brick.submit(cardFormData());
+    assert.equal(page.backend.requestsTo(BACKEND_URL)[0].headers['X-meli-session-id'], 'first-id');
+  });
+});
+
+test('onSubmit enriches formData with store, payer, items and references', async function () {
+  var items = [{ id: '77', title: 'Torta de chocolate', quantity: 1, unit_price: 45000 }];
+  var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } }, {
+    payer: {
+      email: 'comprador@example.com',
+      firstName: 'Ana',
+      lastName: 'Gómez',
+      identification: { type: 'CC', number: '1020304050' },
+      address: { zip_code: '110111', street_name: 'Calle 10', street_number: '5-20' },
+      phone: { area_code: '57', number: '3001234567' }
+    },
+    items: items,
+    externalReference: 'order_321',
+    notificationUrl: 'https://api.test/webhooks/mercadopago',
+    statementDescriptor: 'DULCES'
+  });
+  page.backend.on('POST', BACKEND_URL, { status: 201, body: APPROVED });
+
+  assert.deepEqual(plain(page.brick.settings.initialization.payer), {
+    email: 'comprador@example.com',
+    entityType: 'individual',
+    identification: { type: 'CC', number: '1020304050' }
+  });
+
+  await page.brick.submit(cardFormData());
+  var body = page.backend.requestsTo(BACKEND_URL)[0].body;
+  assert.equal(body.store_id, 5);
+  assert.equal(body.callback_url, 'https://tienda.example/dulces_5/checkout');
+  assert.equal(body.payer.first_name, 'Ana');
+  assert.equal(body.payer.last_name, 'Gómez');
+  assert.deepEqual(body.payer.address, { zip_code: '110111', street_name: 'Calle 10', street_number: '5-20' });
+  assert.deepEqual(body.payer.phone, { area_code: '57', number: '3001234567' });
+  assert.equal(body.payer.email, 'comprador@example.com');
+  assert.equal(body.external_reference, 'order_321');
+  assert.equal(body.notification_url, 'https://api.test/webhooks/mercadopago');
+  assert.equal(body.statement_descriptor, 'DULCES');
+  assert.deepEqual(body.additional_info, { items: items });
+  assert.equal(body.token, 'card-token-123');
+});
+
+test('paymentMethods and visual reach the brick customization', async function () {
+  var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } }, {
+    paymentMethods: { exclude: ['bankTransfer'], ticket: ['efecty'], minInstallments: 1, maxInstallments: 12, excludedPaymentTypes: ['atm'] },
+    visual: { theme: 'flat', customVariables: { baseColor: '#5A3269', borderRadiusMedium: 9 }, hidePaymentButton: true }
+  });
+  assert.deepEqual(plain(page.brick.settings.customization), {
+    paymentMethods: {
+      creditCard: 'all', debitCard: 'all', ticket: ['efecty'],
+      minInstallments: 1, maxInstallments: 12, types: { excluded: ['atm'] }
+    },
+    visual: { style: { theme: 'flat', customVariables: { baseColor: '#5A3269', borderRadiusMedium: 9 } }, hidePaymentButton: true }
+  });
+});
+
+test('invalid paymentMethods / visual are refused before the SDK sees them', async function (t) {
+  var cases = [
+    ['unknown method', { paymentMethods: { include: ['crypto'] } }, /unknown method "crypto"/],
+    ['bad method value', { paymentMethods: { creditCard: 'some' } }, /paymentMethods.creditCard/],
+    ['min above max', { paymentMethods: { minInstallments: 6, maxInstallments: 3 } }, /greater than maxInstallments/],
+    ['installments out of range', { paymentMethods: { maxInstallments: 48 } }, /maxInstallments must be an integer/],
+    ['nothing left enabled', { paymentMethods: { exclude: ['creditCard', 'debitCard', 'bankTransfer'] } }, /no payment method enabled/],
+    ['unknown payment type', { paymentMethods: { excludedPaymentTypes: ['cash'] } }, /unknown payment type "cash"/],
+    ['bad theme', { visual: { theme: 'neon' } }, /visual.theme must be one of/],
+    ['customVariables not an object', { visual: { customVariables: ['#fff'] } }, /customVariables must be an object/],
+    ['customVariables bad value', { visual: { customVariables: { baseColor: { r: 1 } } } }, /customVariables.baseColor/],
+    ['hidePaymentButton not boolean', { visual: { hidePaymentButton: 'yes' } }, /hidePaymentButton must be a boolean/]
+  ];
+  for (var i = 0; i < cases.length; i++) {
+    var config = cases[i][1];
+    var pattern = cases[i][2];
+    await t.test(cases[i][0], async function () {
+      var page = harness.loadBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } });
+      await page.bridge.init('TEST-public-key');
+      var handle = page.bridge.renderPaymentBrick(renderConfig(config));
+
+      assert.equal(page.sdk.bricks.length, 0);
+      var errors = page.eventsOf('mpBrickError');
+      assert.equal(errors.length, 1);
+      assert.equal(errors[0].containerId, 'paymentBrick_container');
+      assert.equal(errors[0].data.code, 'invalid_configuration');
+      assert.equal(errors[0].data.category, 'fatal');
+      assert.match(errors[0].data.cause.message, pattern);
+      await assert.rejects(handle.ready, function (error) { return error.code === 'invalid_configuration'; });
+      await assert.rejects(handle.result, function (error) { return error.code === 'invalid_configuration'; });
+    });
+  }
+});
+
+test('payment request carries auth, device and idempotency headers', async function () {
+  var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } }, { externalReference: 'order_1' });
+  page.backend.on('POST', BACKEND_URL, { status: 201, body: APPROVED });
+  await page.brick.submit(cardFormData());
+
+  var headers = page.backend.requestsTo(BACKEND_URL)[0].headers;
+  assert.equal(headers['Content-Type'], 'application/json');
+  assert.equal(headers.Authorization, 'Bearer session-token');
+  assert.equal(headers['X-meli-session-id'], 'device-1');
+  assert.match(headers['X-Idempotency-Key'], /^pay_5_[0-9a-f]{8}_[0-9a-z]+$/);
+});
+
+test('idempotency key survives retries and double submits, rotates after a rejection', async function () {
+  var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } }, { externalReference: 'order_1' });
+  page.backend.on('POST', BACKEND_URL, [
+    { status: 503 },
+    { status: 201, body: { id: 1, status: 'rejected', status_detail: 'cc_rejected_insufficient_amount' } },
+    { status: 201, body: APPROVED }
+  ]);
+
+  await page.brick.submit(cardFormData()); // 503, retried, then rejected
+  await page.brick.submit(cardFormData()); // new attempt after rejection
+  await page.brick.submit(cardFormData()); // double submit of the approved one
+
+  var keys = page.backend.requestsTo(BACKEND_URL).map(function (r) { return r.headers['X-Idempotency-Key']; });
+  assert.equal(keys.length, 4);
+  assert.equal(keys[0], keys[1], 'transient retry reuses the key');
+  assert.notEqual(keys[2], keys[1], 'rejection rotates the key');
+  assert.equal(keys[3], keys[2], 'double submit reuses the key');
+  assert.equal(page.storage.getItem('mp_idempotency_v1:5|order_1|45000'), keys[3]);
+});
+
+test('idempotency key is kept on a 409 and rotated on a 400 validation error', async function () {
+  var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } }, { externalReference: 'order_2' });
+  page.backend.on('POST', BACKEND_URL, [
+    { status: 409, body: { message: 'Payment already in progress' } },
+    { status: 400, body: { message: 'Invalid payer identification' } },
+    { status: 201, body: APPROVED }
+  ]);
+
+  await assert.rejects(page.brick.submit(cardFormData())); // 409: maybe still in flight
+  await assert.rejects(page.brick.submit(cardFormData())); // same key, refused as invalid
+  await page.brick.submit(cardFormData()); // fixed form, new key
+
+  var keys = page.backend.requestsTo(BACKEND_URL).map(function (r) { return r.headers['X-Idempotency-Key']; });
+  assert.equal(keys.length, 3);
+  assert.equal(keys[1], keys[0], '409 keeps the key');
+  assert.notEqual(keys[2], keys[1], '400 rotates the key');
+  assert.equal(page.eventsOf('mpPaymentError')[0].data.code, 'conflict');
+});
+
+test('X-client-ipv4 fallback header follows the resolver chain', async function (t) {
+  var ECHO = 'https://api.test/echo-ip';
+  var THIRD_PARTY = 'https://ip.example/json';
+
+  await t.test('first resolver answering an IPv4 wins', async function () {
+    var page = await renderedBridge({
+      globals: { MP_DEVICE_SESSION_ID: 'device-1' },
+      init: { clientIp: { resolvers: [ECHO, THIRD_PARTY] } }
+    });
+    page.backend.on('GET', ECHO, { body: { ip: '190.24.1.7' } });
+    page.backend.on('POST', BACKEND_URL, { status: 201, body: APPROVED });
+    await page.brick.submit(cardFormData());
+    assert.equal(page.backend.requestsTo(BACKEND_URL)[0].headers['X-client-ipv4'], '190.24.1.7');
+    assert.equal(page.backend.requestsTo(THIRD_PARTY).length, 0);
+  });
+
+  await t.test('IPv6 answers and hung resolvers fall through to the next one', async function () {
+    var page = await renderedBridge({
+      globals: { MP_DEVICE_SESSION_ID: 'device-1' },
+      init: { clientIp: { resolvers: [ECHO, { url: 'https://slow.example/ip', timeoutMs: 200 }, THIRD_PARTY] } }
+    });
+    page.backend.on('GET', ECHO, { body: { ip: '2800:e2:7f:1::1' } });
+    page.backend.on('GET', 'https://slow.example/ip', 'hang');
+    page.backend.on('GET', THIRD_PARTY, { text: '181.49.0.12\n' });
+    page.backend.on('POST', BACKEND_URL, { status: 201, body: APPROVED });
+    await page.brick.submit(cardFormData());
+    assert.equal(page.backend.requestsTo(BACKEND_URL)[0].headers['X-client-ipv4'], '181.49.0.12');
+  });
+
+  await t.test('api.ipify.org is the resolver unless init names others', async function () {
+    var IPIFY = 'https://api.ipify.org';
+    var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } });
+    page.backend.on('GET', IPIFY, { body: { ip: '186.80.3.9' } });
+    page.backend.on('POST', BACKEND_URL, { status: 201, body: APPROVED });
+    await page.brick.submit(cardFormData());
+    assert.equal(page.backend.requestsTo(BACKEND_URL)[0].headers['X-client-ipv4'], '186.80.3.9');
+
+    var configured = await renderedBridge({
+      globals: { MP_DEVICE_SESSION_ID: 'device-1' },
+      init: { clientIp: { resolvers: [ECHO] } }
+    });
+    configured.backend.on('GET', ECHO, { body: { ip: '190.24.1.7' } });
+    configured.backend.on('POST', BACKEND_URL, { status: 201, body: APPROVED });
+    await configured.brick.submit(cardFormData());
+    assert.equal(configured.backend.requestsTo(IPIFY).length, 0);
+  });
+
+  await t.test('no header and no lookup with an empty resolver list or skip', async function () {
+    var configs = [{ clientIp: { resolvers: [] } }, { clientIp: { skip: true, resolvers: [ECHO] } }];
+    for (var i = 0; i < configs.length; i++) {
+      var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' }, init: configs[i] });
+      page.backend.on('POST', BACKEND_URL, { status: 201, body: APPROVED });
+      await page.brick.submit(cardFormData());
+      assert.equal(page.backend.requestsTo(BACKEND_URL)[0].headers['X-client-ipv4'], undefined);
+      assert.equal(page.backend.requestsTo(ECHO).length, 0);
+    }
+  });
+
+  await t.test('PSE with an empty resolver list logs a warning', async function () {
+    function pseWarnings(page) {
+      return page.logs.filter(function (entry) {
+        return entry.method === 'warn' && /X-client-ipv4/.test(entry.args.join(' '));
+      });
+    }
+    var emptied = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' }, init: { clientIp: { resolvers: [] } } });
+    assert.equal(pseWarnings(emptied).length, 1);
+
+    var configured = [
+      [{}, {}],
+      [{ clientIp: { resolvers: [ECHO] } }, {}],
+      [{ clientIp: { skip: true } }, {}],
+      [{ clientIp: { resolvers: [] } }, { paymentMethods: { bankTransfer: false } }]
+    ];
+    for (var i = 0; i < configured.length; i++) {
+      var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' }, init: configured[i][0] }, configured[i][1]);
+      assert.equal(pseWarnings(page).length, 0);
+    }
+  });
+});
+
+test('success dispatches mpPaymentSuccess and the status event', async function () {
+  var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } });
+  page.backend.on('POST', BACKEND_URL, { status: 201, body: APPROVED });
+
+  var data = await page.brick.submit(cardFormData());
+  assert.deepEqual(data, APPROVED);
+  assert.deepEqual(page.eventsOf('mpBrickReady'), [{ containerId: 'paymentBrick_container', data: null }]);
+  assert.deepEqual(page.eventsOf('mpPaymentSuccess'), [{ containerId: 'paymentBrick_container', data: APPROVED }]);
+  assert.deepEqual(page.eventsOf('mpPaymentApproved'), [{ containerId: 'paymentBrick_container', data: APPROVED }]);
+  assert.deepEqual(plain(await page.handle.result), APPROVED);
+});
+
+test('failures dispatch typed mpPaymentError / mpBrickError objects', async function () {
+  var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } });
+  page.backend.on('POST', BACKEND_URL, {
+    status: 400,
+    body: { message: 'Pago rechazado', status_detail: 'cc_rejected_bad_filled_security_code' }
+  });
+
+  await assert.rejects(page.brick.submit(cardFormData()));
+  var paymentErrors = page.eventsOf('mpPaymentError');
+  assert.equal(paymentErrors.length, 1);
+  assert.equal(paymentErrors[0].containerId, 'paymentBrick_container');
+  assert.equal(paymentErrors[0].data.code, 'cc_rejected_bad_filled_security_code');
+  assert.equal(paymentErrors[0].data.category, 'user_fixable');
+  assert.equal(paymentErrors[0].data.cause.httpStatus, 400);
+
+  page.brick.fail({ type: 'critical', cause: 'fields_setup_failed', message: 'Fields setup failed' });
+  var brickErrors = page.eventsOf('mpBrickError');
+  assert.equal(brickErrors.length, 1);
+  assert.equal(brickErrors[0].data.code, 'brick_critical');
+  assert.equal(brickErrors[0].data.category, 'fatal');
+});
+
+test('network failures are retried, then reported as retryable', async function () {
+  var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } });
+  page.backend.on('POST', BACKEND_URL, 'network-error');
+
+  await assert.rejects(page.brick.submit(cardFormData()));
+  assert.equal(page.backend.requestsTo(BACKEND_URL).length, 3);
+  assert.equal(page.eventsOf('mpPaymentError')[0].data.code, 'network_error');
+  assert.equal(page.eventsOf('mpPaymentError')[0].data.category, 'retryable');
+});
+
+test('logs never contain card tokens or payer PII', async function () {
+  var page = await renderedBridge({
+    search: '?mpdebug=1',
+    globals: { MP_DEVICE_SESSION_ID: 'device-1' }
+  }, { payer: { email: 'comprador@example.com', phone: { number: '3001234567' } } });
+  page.backend.on('POST', BACKEND_URL, { status: 201, body: APPROVED });
+  await page.brick.submit(cardFormData());
+
+  var logged = JSON.stringify(page.logs);
+  assert.ok(page.logs.length > 0);
+  ['card-token-123', 'comprador@example.com', '1020304050', '3001234567', 'session-token'].forEach(function (secret) {
+    assert.equal(logged.indexOf(secret), -1, secret + ' leaked into the logs');
+  });
+});
+
+/** 'pending' if the promise hasn't settled after the queued callbacks ran. */
+function stateOf(promise) {
+  var PENDING = {};
+  return Promise.race([
+    promise.then(function () { return 'resolved'; }, function () { return 'rejected'; }),
+    new Promise(function (resolve) { setTimeout(function () { resolve(PENDING); }, 20); })
+  ]).then(function (state) { return state === PENDING ? 'pending' : state; });
+}
+
+test('two containers mount side by side and are destroyed independently', async function () {
+  var page = harness.loadBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } });
+  await page.bridge.init('TEST-public-key');
+  var payment = page.bridge.renderPaymentBrick(renderConfig({ containerId: 'pay_a' }));
+  var status = page.bridge.renderStatusScreen({ containerId: 'status_b', paymentId: '9001' });
+  await payment.ready;
+  await status.ready;
+
+  assert.equal(page.sdk.bricks.length, 2);
+  assert.equal(page.bridge.isMounted('pay_a'), true);
+  assert.equal(page.bridge.isMounted('status_b'), true);
+  assert.equal(page.window.mpBrickReady, true);
+  assert.equal(page.window.mpStatusReady, true);
+
+  assert.equal(await page.bridge.destroy('pay_a'), true);
+  assert.equal(page.sdk.bricks[0].mounted, false);
+  assert.equal(page.sdk.bricks[1].mounted, true);
+  assert.equal(page.bridge.isMounted('pay_a'), false);
+  assert.equal(page.bridge.isMounted('status_b'), true);
+  assert.equal(page.window.mpBrickReady, false, 'payment flag follows its own container');
+  assert.equal(page.window.mpStatusReady, true);
+  await assert.rejects(payment.result, function (error) { return error.code === 'brick_unmounted'; });
+  assert.equal(await stateOf(status.result), 'pending');
+  assert.equal(await page.bridge.destroy('pay_a'), false, 'nothing left to destroy there');
+
+  assert.equal(await page.bridge.destroyAll(), true);
+  assert.equal(page.sdk.bricks[1].mounted, false);
+  assert.equal(page.window.mpStatusReady, false);
+  assert.equal(await stateOf(status.result), 'rejected');
+});
+
+test('renderWalletBrick mounts the wallet for a preference', async function () {
+  var page = harness.loadBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } });
+  await page.bridge.init('TEST-public-key');
+  var handle = page.bridge.renderWalletBrick({ containerId: 'walletBrick_container', preferenceId: 'pref-123' });
+  await handle.ready;
+
+  var brick = page.sdk.lastBrick();
+  assert.equal(brick.type, 'wallet');
+  assert.deepEqual(plain(brick.settings.initialization), { preferenceId: 'pref-123', redirectMode: 'self' });
+  assert.deepEqual(page.eventsOf('mpWalletReady'), [{ containerId: 'walletBrick_container', data: null }]);
+  assert.equal(page.window.mpWalletReady, true);
+
+  var invalid = page.bridge.renderWalletBrick({ containerId: 'other', preferenceId: 'pref-1', redirectMode: 'popup' });
+  await assert.rejects(invalid.ready, { code: 'invalid_configuration' });
+  assert.equal(page.bridge.isMounted('walletBrick_container'), true);
+});
+
+test('an update made before the SDK hands back the controller is applied once it does', async function () {
+  var page = harness.loadBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } });
+  await page.bridge.init('TEST-public-key');
+  var handle = page.bridge.renderPaymentBrick(renderConfig());
+  var updated = handle.update({ amount: 52000, payer: { firstName: 'Ana' } });
+  assert.equal(page.sdk.lastBrick().updates.length, 0, 'nothing reaches the SDK before create() resolves');
+  assert.equal(await updated, true);
+  assert.deepEqual(plain(page.sdk.lastBrick().updates), [{ amount: 52000 }]);
+});
+
+test('updateAmount resolves false when the SDK cannot update in place', async function (t) {
+  await t.test('controller.update refuses the change', async function () {
+    var page = await renderedBridge({
+      globals: { MP_DEVICE_SESSION_ID: 'device-1' },
+      sdk: { acceptUpdate: function () { return false; } }
+    }, { externalReference: 'order_1' });
+    assert.equal(await page.bridge.updateAmount(52000), false);
+    page.backend.on('POST', BACKEND_URL, { status: 201, body: APPROVED });
+    await page.brick.submit(cardFormData());
+    assert.ok(page.storage.getItem('mp_idempotency_v1:5|order_1|45000'), 'the brick keeps charging the old amount');
+  });
+
+  await t.test('controller has no update()', async function () {
+    var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' }, sdk: { supportsUpdate: false } });
+    assert.equal(await page.bridge.updateAmount(52000), false);
+    assert.equal(await page.handle.update({ payer: { firstName: 'Ana' } }), true, 'payer changes need no SDK update');
+  });
+
+  await t.test('one refusing brick makes the all-bricks update false', async function () {
+    var answers = [true, false];
+    var page = harness.loadBridge({
+      globals: { MP_DEVICE_SESSION_ID: 'device-1' },
+      sdk: { acceptUpdate: function () { return answers.shift(); } }
+    });
+    await page.bridge.init('TEST-public-key');
+    await page.bridge.renderPaymentBrick(renderConfig({ containerId: 'pay_a' })).ready;
+    await page.bridge.renderPaymentBrick(renderConfig({ containerId: 'pay_b' })).ready;
+    assert.equal(await page.bridge.updateAmount(52000), false);
+    await assert.rejects(page.bridge.updateAmount(52000, 'missing'), { code: 'brick_unmounted' });
+    await assert.rejects(page.bridge.updateAmount(-1), { code: 'invalid_configuration' });
+  });
+});
+
+test('updatePayer merges into the payer of the next submit', async function () {
+  var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } }, {
+    payer: { email: 'comprador@example.com', firstName: 'Ana', lastName: 'Gomez' }
+  });
+  assert.equal(await page.bridge.updatePayer({
+    lastName: 'Gómez Ruiz',
+    phone: { area_code: '57', number: '3001234567' },
+    address: { zip_code: '110111', street_name: 'Calle 80', street_number: '12' }
+  }), true);
+
+  page.backend.on('POST', BACKEND_URL, { status: 201, body: APPROVED });
+  await page.brick.submit(cardFormData());
+  var payer = page.backend.requestsTo(BACKEND_URL)[0].body.payer;
+  assert.equal(payer.first_name, 'Ana');
+  assert.equal(payer.last_name, 'Gómez Ruiz');
+  assert.deepEqual(payer.phone, { area_code: '57', number: '3001234567' });
+  assert.deepEqual(payer.address, { zip_code: '110111', street_name: 'Calle 80', street_number: '12' });
+});
+
+test('an accepted amount change is a new checkout for the idempotency key', async function () {
+  var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } }, { externalReference: 'order_1' });
+  page.backend.on('POST', BACKEND_URL, [{ status: 409 }, { status: 201, body: APPROVED }]);
+
+  await assert.rejects(page.brick.submit(cardFormData()));
+  assert.equal(await page.bridge.updateAmount(52000), true);
+  await page.brick.submit(cardFormData());
+
+  var keys = page.backend.requestsTo(BACKEND_URL).map(function (r) { return r.headers['X-Idempotency-Key']; });
+  assert.notEqual(keys[1], keys[0]);
+  assert.equal(page.storage.getItem('mp_idempotency_v1:5|order_1|45000'), keys[0]);
+  assert.equal(page.storage.getItem('mp_idempotency_v1:5|order_1|52000'), keys[1]);
+});
+
+test('result waits out a refused card and resolves with the payment that went through', async function () {
+  var page = await renderedBridge({ globals: { MP_DEVICE_SESSION_ID: 'device-1' } });
+  page.backend.on('POST', BACKEND_URL, [
+    { status: 201, body: { id: 1, status: 'rejected', status_detail: 'cc_rejected_insufficient_amount' } },
+    { status: 201, body: APPROVED }
+  ]);
+
+  await page.brick.submit(cardFormData());
+  assert.equal(await stateOf(page.handle.result), 'pending');
+  assert.equal(page.eventsOf('mpPaymentRejected').length, 1);
+
+  await page.brick.submit(cardFormData());
+  assert.deepEqual(plain(await page.handle.result), APPROVED);
+});
+
+test('init() and checkoutPro() failures nobody awaits are not unhandled rejections', async function () {
+  var unhandled = [];
+  function record(reason) { unhandled.push(reason); }
+  process.on('unhandledRejection', record);
+  try {
+    var page = harness.loadBridge({ globals: { MercadoPago: undefined } });
+    var PREFERENCES = 'https://api.test/payments/preference';
+    page.backend.on('POST', PREFERENCES, { status: 201, body: { init_point: 'https://evil.example/checkout' } });
+
+    var calls = [
+      page.bridge.init('TEST-public-key'),
+      page.bridge.checkoutPro(),
+      page.bridge.checkoutPro({ backendUrl: PREFERENCES })
+    ];
+    await new Promise(function (resolve) { setTimeout(resolve, 20); });
+    assert.deepEqual(unhandled, []);
+
+    var states = [];
+    for (var i = 0; i < calls.length; i++) states.push(await stateOf(calls[i]));
+    assert.deepEqual(states, ['rejected', 'rejected', 'rejected']);
+    await assert.rejects(calls[0], { code: 'sdk_not_loaded' });
+  } finally {
+    process.removeListener('unhandledRejection', record);
+  }
+});
+
+test('checkoutPro redirects only to MercadoPago hosts', async function () {
+  var page = harness.loadBridge();
+  var PREFERENCES = 'https://api.test/payments/preference';
+  page.backend.on('POST', PREFERENCES, [
+    { status: 201, body: { id: 'pref-9', init_point: 'https://www.mercadopago.com.co/checkout/v1/redirect?pref_id=pref-9' } },
+    { status: 201, body: { init_point: 'https://evil.example/checkout' } }
+  ]);
+
+  await page.bridge.checkoutPro({ backendUrl: PREFERENCES, authHeader: 'Bearer t', preference: { items: [] } });
+  assert.deepEqual(page.redirects, ['https://www.mercadopago.com.co/checkout/v1/redirect?pref_id=pref-9']);
+  assert.equal(page.backend.requestsTo(PREFERENCES)[0].headers.Authorization, 'Bearer t');
+
+  await assert.rejects(page.bridge.checkoutPro({ backendUrl: PREFERENCES }), { code: 'invalid_configuration' });
+  assert.equal(page.redirects.length, 1);
+  assert.equal(page.eventsOf('mpPaymentError')[0].data.code, 'invalid_configuration');
+});
+
+test('handleRedirectReturn polls until the payment settles', async function () {
+  var STATUS = 'https://api.test/payments/{paymentId}/status';
+  var page = harness.loadBridge({ search: '?collection_id=777&collection_status=pending&external_reference=order_9&preference_id=pref-9' });
+  page.backend.on('GET', 'https://api.test/payments/777/status', [
+    { body: { id: 777, status: 'pending' } },
+    'network-error',
+    { body: { id: 777, status: 'approved', external_reference: 'order_9' } }
+  ]);
+
+  assert.equal(page.bridge.getRedirectReturn().paymentId, '777');
+  assert.equal(page.bridge.handleRedirectReturn({ statusUrl: STATUS, authHeader: 'Bearer t' }), true);
+  var approved = await waitForEvent(page, 'mpPaymentApproved');
+  assert.equal(approved.data.external_reference, 'order_9');
+  assert.equal(page.eventsOf('mpPaymentPending').length, 0);
+  assert.equal(page.backend.requests.length, 3);
+  assert.equal(page.backend.requests[0].headers.Authorization, 'Bearer t');
+});
+
+test('handleRedirectReturn strips the MercadoPago parameters, keeping the route', function () {
+  var page = harness.loadBridge({
+    search: '?utm_source=wa&payment_id=777&status=approved&external_reference=order_9&merchant_order_id=5',
+    hash: '#/dulces_5/checkout'
+  });
+  page.backend.on('GET', 'https://api.test/payments/777/status', 'hang');
+
+  assert.equal(page.bridge.getRedirectReturn().paymentId, '777');
+  assert.deepEqual(page.replacedUrls, [], 'reading the return leaves the URL alone');
+  assert.equal(page.bridge.handleRedirectReturn({ statusUrl: 'https://api.test/payments/{paymentId}/status' }), true);
+  assert.deepEqual(page.replacedUrls, ['/dulces_5/checkout?utm_source=wa#/dulces_5/checkout']);
+});
+
+test('handleRedirectReturn reports an abandoned Checkout Pro as rejected', function () {
+  var page = harness.loadBridge({ search: '?collection_id=null&collection_status=null&preference_id=pref-9&external_reference=order_9' });
+
+  assert.equal(page.bridge.handleRedirectReturn({ statusUrl: 'https://api.test/payments' }), true);
+  var rejected = page.eventsOf('mpPaymentRejected');
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].data.error.code, 'checkout_abandoned');
+  assert.equal(page.backend.requests.length, 0);
+});
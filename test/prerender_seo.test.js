@@ -0,0 +1,97 @@
+/**
+ * Tests for tool/prerender_seo.js against the real index.html template (no
+ * network: store and product payloads are inlined). Run from the repo root
+ * with:
+ *
+ *   node tool/run_tests.js
+ */
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('fs');
+var path = require('path');
+var seo = require('../tool/prerender_seo');
+var RouteParser = require('../route_parser');
+
+var TEMPLATE = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+var STORE = { id: 55, slug: 'dulces_dona_rosa_55', name: 'Dulces Doña Rosa', logoUrl: 'https://cdn.test/logo.png', description: 'Postres' };
+var PRODUCT = {
+  id: 196,
+  name: 'Torta "tres leches" </script>',
+  description: 'Para   12\n personas',
+  price: 45000,
+  images: [{ url: 'https://cdn.test/torta.jpg' }],
+  stock: 0
+};
+
+function jsonLdOf(html) {
+  var m = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/.exec(html);
+  return JSON.parse(m[1]);
+}
+
+test('product page carries canonical, Open Graph and Product/Offer JSON-LD', function () {
+  var html = seo.renderRoute(TEMPLATE, { origin: 'https://tienda.teregalo.co/', store: STORE, product: PRODUCT });
+  assert.match(html, /<title>Torta &quot;tres leches&quot; &lt;\/script&gt; \| Dulces Doña Rosa<\/title>/);
+  assert.match(html, /<link rel="canonical" href="https:\/\/tienda.teregalo.co\/dulces_dona_rosa_55\/product_196">/);
+  assert.match(html, /<meta property="og:image" content="https:\/\/cdn.test\/torta.jpg">/);
+  assert.match(html, /<meta name="description" content="Para 12 personas">/);
+  // The product name can't close the JSON-LD script early.
+  assert.equal(html.split('</script>').length, TEMPLATE.split('</script>').length + 1);
+
+  var ld = jsonLdOf(html);
+  assert.equal(ld['@type'], 'Product');
+  assert.equal(ld.offers.price, 45000);
+  assert.equal(ld.offers.priceCurrency, 'COP');
+  assert.equal(ld.offers.availability, 'https://schema.org/OutOfStock');
+});
+
+test('only the seo block changes and the generic tags are gone', function () {
+  var html = seo.renderRoute(TEMPLATE, { origin: 'https://tienda.teregalo.co', store: STORE });
+  var tail = TEMPLATE.slice(TEMPLATE.indexOf(seo.SEO_END));
+  assert.ok(html.endsWith(tail));
+  assert.ok(html.startsWith(TEMPLATE.slice(0, TEMPLATE.indexOf(seo.SEO_START))));
+  assert.doesNotMatch(html, /content="ecommerce"/);
+  assert.equal(jsonLdOf(html)['@type'], 'Store');
+});
+
+test('path-routed hosts use the store slug that route_parser understands', function () {
+  var files = seo.renderSite(TEMPLATE, {
+    origin: 'https://someone.github.io',
+    store: STORE,
+    products: [PRODUCT, { id: 7 }]
+  });
+  assert.deepEqual(Object.keys(files).sort(), [
+    'dulces_dona_rosa_55/index.html',
+    'dulces_dona_rosa_55/product_196/index.html',
+    'robots.txt',
+    'sitemap.xml'
+  ]);
+  var route = RouteParser.parse('/dulces_dona_rosa_55/product_196');
+  assert.equal(route.storeId, '55');
+  assert.equal(route.productId, '196');
+  assert.match(files['sitemap.xml'], /<loc>https:\/\/someone.github.io\/dulces_dona_rosa_55\/product_196<\/loc>/);
+  assert.equal(files['robots.txt'], 'User-agent: *\nAllow: /\n\nSitemap: https://someone.github.io/sitemap.xml\n');
+});
+
+test('custom domains serve the store at the root and products under the slug', function () {
+  var files = seo.renderSite(TEMPLATE, { origin: 'https://tienda.teregalo.co', store: STORE, products: [PRODUCT] });
+  assert.ok(files['index.html']);
+  assert.ok(files['dulces_dona_rosa_55/product_196/index.html']);
+});
+
+test('refuses the hash-routed mall host', function () {
+  assert.throws(function () {
+    seo.renderSite(TEMPLATE, { origin: 'https://madio-express.github.io', store: STORE, products: [PRODUCT] });
+  }, /hash routing/);
+});
+
+test('takes the slug from the store payload, never from its name', function () {
+  var renamed = Object.assign({}, STORE, { name: 'Doña Rosa Postres' });
+  assert.equal(seo.storeSlug(renamed), 'dulces_dona_rosa_55');
+  [undefined, '', 'dulces_dona_rosa_56', 'a_55/b_55'].forEach(function (slug) {
+    assert.throws(function () { seo.storeSlug(Object.assign({}, STORE, { slug: slug })); }, /no usable slug/);
+  });
+});
+
+test('refuses a template without the seo markers', function () {
+  assert.throws(function () { seo.injectSeo('<html></html>', ''); }, /seo:start/);
+});
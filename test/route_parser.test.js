@@ -0,0 +1,109 @@
+/**
+ * Table-driven tests for route_parser.js, built from links as they are
+ * actually shared (WhatsApp, Instagram bio, Facebook ads). When the slug
+ * grammar changes in lib/presentation/util/route_parser.dart, add the case
+ * here first. Run from the repo root with:
+ *
+ *   node tool/run_tests.js
+ */
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var RouteParser = require('../route_parser');
+
+var ROUTES = [
+  {
+    url: 'https://madio-express.github.io/#/teregalo_55',
+    expect: { path: '/teregalo_55', fromHash: true, storeSlug: 'teregalo_55', storeName: 'teregalo', storeId: '55', kind: 'store' }
+  },
+  {
+    url: 'https://madio-express.github.io/#/store_57/product_196',
+    expect: { path: '/store_57/product_196', fromHash: true, storeId: '57', productId: '196', kind: 'product' }
+  },
+  {
+    url: 'https://madio-express.github.io/#/pet_store_55/campaign_12',
+    expect: { path: '/pet_store_55/campaign_12', fromHash: true, storeName: 'pet_store', storeId: '55', campaignId: '12', kind: 'campaign' }
+  },
+  {
+    url: 'https://tienda.teregalo.co/teregalo_55/product_172',
+    expect: { path: '/teregalo_55/product_172', fromHash: false, storeId: '55', productId: '172', kind: 'product' }
+  },
+  {
+    // Same as Dart's extractStoreId: product_196 also matches the store
+    // rule (first segment ending in _<digits>), even on a custom domain.
+    url: 'https://tienda.teregalo.co/product_196?fbclid=IwAR0abc',
+    expect: { path: '/product_196', search: '?fbclid=IwAR0abc', storeId: '196', productId: '196', kind: 'product' }
+  },
+  {
+    url: 'https://tienda.teregalo.co/campaign_8',
+    expect: { path: '/campaign_8', storeId: '8', campaignId: '8', kind: 'campaign' }
+  },
+  {
+    url: 'https://tienda.teregalo.co/',
+    expect: { path: '/', storeId: null, kind: 'root' }
+  },
+  {
+    // Old link re-shared after the path migration: page query + hash query.
+    url: 'https://tienda.teregalo.co/?utm_source=whatsapp#/store_57/product_196?ref=share',
+    expect: {
+      path: '/store_57/product_196',
+      search: '?utm_source=whatsapp&ref=share',
+      fromHash: true,
+      storeId: '57',
+      productId: '196',
+      kind: 'product'
+    }
+  },
+  {
+    url: 'https://madio-express.github.io/dulces_y_mas_30/',
+    expect: { path: '/dulces_y_mas_30', storeName: 'dulces_y_mas', storeId: '30', kind: 'store' }
+  },
+  {
+    url: 'https://madio-express.github.io/',
+    expect: { path: '/', search: '', fromHash: false, storeId: null, productId: null, campaignId: null, kind: 'root' }
+  },
+  {
+    // A fragment that is not a route (#top) keeps the path form.
+    url: 'https://tienda.teregalo.co/store_57#top',
+    expect: { path: '/store_57', fromHash: false, storeId: '57', kind: 'store' }
+  },
+  {
+    url: '/store_57/checkout',
+    expect: { path: '/store_57/checkout', storeId: '57', segments: ['store_57', 'checkout'], kind: 'checkout' }
+  },
+  {
+    url: 'https://madio-express.github.io/#/dulces_y_mas_30/carrito',
+    expect: { storeId: '30', kind: 'checkout' }
+  },
+  {
+    // A product wins over the cart segment, like the splash always did.
+    url: '/cart/product_9',
+    expect: { storeId: '9', productId: '9', kind: 'product' }
+  }
+];
+
+ROUTES.forEach(function (row) {
+  test('parses ' + row.url, function () {
+    var route = RouteParser.parse(row.url);
+    Object.keys(row.expect).forEach(function (key) {
+      assert.deepEqual(route[key], row.expect[key], key);
+    });
+  });
+});
+
+test('accepts a location object', function () {
+  var route = RouteParser.parse({ pathname: '/', search: '?a=1', hash: '#/store_57/product_196?b=2' });
+  assert.equal(RouteParser.toPath(route), '/store_57/product_196?a=1&b=2');
+  assert.equal(route.productId, '196');
+});
+
+test('decodes query parameters, first value wins', function () {
+  assert.deepEqual(
+    RouteParser.parseQuery('?q=caf%C3%A9+con+leche&flag&q=other&bad=%E0'),
+    { q: 'café con leche', flag: '', bad: '%E0' }
+  );
+});
+
+test('cacheKey names the store when the URL does, else the host', function () {
+  assert.equal(RouteParser.cacheKey(RouteParser.parse('/teregalo_55/product_1'), 'x.co'), 'store:55');
+  assert.equal(RouteParser.cacheKey(RouteParser.parse('/'), 'tienda.teregalo.co'), 'host:tienda.teregalo.co');
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for runtime_config.js environment selection. Run from the repo root
+ * with:
+ *
+ *   node tool/run_tests.js
+ */
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var RuntimeConfig = require('../runtime_config');
+
+var PRODUCTION_API = RuntimeConfig.ENVIRONMENTS.production.apiBase;
+// The real staging origin is filled in at deploy time; tests use their own.
+var STAGING_API = 'https://staging-gateway.test';
+RuntimeConfig.ENVIRONMENTS.staging.apiBase = STAGING_API;
+
+var PAGES = [
+  {
+    page: { hostname: 'madio-express.github.io', baseHref: '/' },
+    expect: { environment: 'production', routing: 'hash', isMallHost: true, isCustomDomain: false }
+  },
+  {
+    page: { hostname: 'tienda.teregalo.co', baseHref: '/' },
+    expect: { environment: 'production', routing: 'path', isCustomDomain: true, apiBase: PRODUCTION_API }
+  },
+  {
+    page: { hostname: 'someone.github.io', baseHref: '/' },
+    expect: { routing: 'path', isCustomDomain: false }
+  },
+  {
+    page: { hostname: 'localhost', baseHref: '/' },
+    expect: { environment: 'development', isDevHost: true, isCustomDomain: false }
+  },
+  {
+    page: { hostname: 'madio-express.github.io', baseHref: '/preview/checkout-v2/' },
+    expect: { environment: 'preview', routing: 'hash', baseHref: '/preview/checkout-v2/', apiBase: STAGING_API }
+  },
+  {
+    page: { hostname: 'tienda.teregalo.co', baseHref: '/', environment: 'staging' },
+    expect: { environment: 'staging', apiBase: STAGING_API, isCustomDomain: true }
+  },
+  {
+    page: { hostname: 'tienda.teregalo.co', baseHref: '/', environment: 'nonsense' },
+    expect: { environment: 'production' }
+  }
+];
+
+PAGES.forEach(function (row) {
+  test('resolves ' + row.page.hostname + row.page.baseHref + ' ' + (row.page.environment || ''), function () {
+    var config = RuntimeConfig.resolve(row.page);
+    Object.keys(row.expect).forEach(function (key) {
+      assert.equal(config[key], row.expect[key], key);
+    });
+  });
+});
+
+test('staging and preview never fall back to the production gateway', function () {
+  RuntimeConfig.ENVIRONMENTS.staging.apiBase = null;
+  try {
+    assert.throws(function () {
+      RuntimeConfig.resolve({ hostname: 'tienda.teregalo.co', baseHref: '/', environment: 'staging' });
+    }, /no apiBase for the "staging" environment/);
+    assert.throws(function () {
+      RuntimeConfig.resolve({ hostname: 'madio-express.github.io', baseHref: '/preview/x/' });
+    }, /"preview"/);
+    assert.equal(RuntimeConfig.resolve({ hostname: 'localhost', baseHref: '/' }).apiBase, PRODUCTION_API);
+  } finally {
+    RuntimeConfig.ENVIRONMENTS.staging.apiBase = STAGING_API;
+  }
+});
+
+test('boot telemetry is off until a collector is configured', function () {
+  PAGES.forEach(function (row) {
+    assert.equal(RuntimeConfig.resolve(row.page).telemetry.collector, null);
+  });
+});
+
+test('in the browser an unresolvable environment becomes {error} instead of a throw', function () {
+  var fs = require('fs');
+  var path = require('path');
+  var vm = require('vm');
+  var appended = [];
+  function element(href) {
+    return { getAttribute: function () { return href; }, setAttribute: function () {} };
+  }
+  var window = {
+    location: { hostname: 'madio-express.github.io' },
+    document: {
+      querySelector: function (selector) { return selector === 'base' ? element('/preview/x/') : null; },
+      createElement: function () { return {}; },
+      head: { appendChild: function (el) { appended.push(el); } }
+    }
+  };
+  var file = path.join(__dirname, '..', 'runtime_config.js');
+  vm.runInNewContext(fs.readFileSync(file, 'utf8'), { window: window }, { filename: file });
+
+  assert.deepEqual(Object.keys(window.__runtimeConfig), ['error']);
+  assert.match(window.__runtimeConfig.error, /no apiBase for the "preview" environment/);
+  assert.deepEqual(appended, [], 'no preconnect to a gateway');
+});
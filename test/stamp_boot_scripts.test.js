@@ -0,0 +1,35 @@
+/**
+ * Tests for tool/stamp_boot_scripts.js against the real index.html. Run from
+ * the repo root with:
+ *
+ *   node tool/run_tests.js
+ */
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('fs');
+var path = require('path');
+var stamp = require('../tool/stamp_boot_scripts');
+
+var TEMPLATE = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+var BUILD = 'a1b2c3d-20261019120000';
+
+function scriptSrcs(html) {
+  var srcs = [];
+  html.replace(/<script src="([^"]+)"/g, function (match, src) { srcs.push(src); });
+  return srcs;
+}
+
+test('every boot script of index.html carries the new build id', function () {
+  var html = stamp.stampBootScripts(TEMPLATE, BUILD + '\n');
+  stamp.BOOT_SCRIPTS.forEach(function (file) {
+    assert.ok(scriptSrcs(html).indexOf(file + '?v=' + BUILD) !== -1, file);
+  });
+  assert.ok(scriptSrcs(html).indexOf('flutter.js') !== -1, 'other scripts untouched');
+  assert.equal(stamp.stampBootScripts(html, BUILD), html, 'stamping twice changes nothing');
+});
+
+test('refuses a bad build id or a template without the script tags', function () {
+  assert.throws(function () { stamp.stampBootScripts(TEMPLATE, '__APP_BUILD_ID__'); }, /not a build id/);
+  var missing = TEMPLATE.replace(/<script src="route_parser\.js[^"]*"><\/script>/, '');
+  assert.throws(function () { stamp.stampBootScripts(missing, BUILD); }, /route_parser\.js.*found 0/);
+});
@@ -0,0 +1,33 @@
+/**
+ * Tests for tool/stamp_release.js (the release.json the update checker in
+ * index.html reads). Run from the repo root with:
+ *
+ *   node tool/run_tests.js
+ */
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var stamp = require('../tool/stamp_release');
+
+var BUILD = 'a1b2c3d-20261019120000';
+var OLDER = 'f8fc821-20260723131135';
+
+test('a new deploy names itself and resets severity and notes', function () {
+  var previous = { current: OLDER, minimum: null, severity: 'mandatory', notes: 'Arreglo de pagos' };
+  assert.deepEqual(stamp.buildRelease({ build: BUILD + '\n' }, previous), {
+    current: BUILD, minimum: null, severity: 'banner', notes: ''
+  });
+});
+
+test('the minimum carries over until replaced or cleared', function () {
+  var previous = { current: OLDER, minimum: OLDER };
+  assert.equal(stamp.buildRelease({ build: BUILD }, previous).minimum, OLDER);
+  assert.equal(stamp.buildRelease({ build: BUILD, minimum: BUILD }, previous).minimum, BUILD);
+  assert.equal(stamp.buildRelease({ build: BUILD, minimum: 'none' }, previous).minimum, null);
+});
+
+test('refuses values the update checker would ignore', function () {
+  assert.throws(function () { stamp.buildRelease({ build: '<!DOCTYPE html>' }, null); }, /not a build id/);
+  assert.throws(function () { stamp.buildRelease({ build: BUILD, severity: 'urgent' }, null); }, /severity/);
+  assert.throws(function () { stamp.buildRelease({ build: BUILD, minimum: 'latest' }, null); }, /not a build id/);
+  assert.throws(function () { stamp.buildRelease({ build: BUILD, notes: 'x'.repeat(281) }, null); }, /notes/);
+});
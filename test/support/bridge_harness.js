@@ -0,0 +1,128 @@
+/**
+ * Loads mercadopago_bridge.js into an isolated VM context with a fake
+ * browser around it: window (location, dispatchEvent), document (cookie,
+ * getElementById), sessionStorage, the fake SDK and the stub backend as
+ * fetch. Each call is a brand-new page load, so module state (captured
+ * device id, cached IPv4, brick registry) never leaks between tests.
+ */
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var webcrypto = require('crypto').webcrypto;
+var createFakeMercadoPago = require('./fake_mercadopago').createFakeMercadoPago;
+var createStubBackend = require('./stub_backend').createStubBackend;
+
+var BRIDGE_PATH = path.join(__dirname, '..', '..', 'mercadopago_bridge.js');
+var BRIDGE_SOURCE = fs.readFileSync(BRIDGE_PATH, 'utf8');
+
+function FakeCustomEvent(type, init) {
+  this.type = type;
+  this.detail = init && init.detail !== undefined ? init.detail : null;
+}
+
+function memoryStorage(initial) {
+  var data = Object.assign({}, initial);
+  return {
+    data: data,
+    getItem: function (k) { return Object.prototype.hasOwnProperty.call(data, k) ? data[k] : null; },
+    setItem: function (k, v) { data[k] = String(v); },
+    removeItem: function (k) { delete data[k]; }
+  };
+}
+
+/**
+ * @param {object} [options]
+ *   sdk: options for createFakeMercadoPago,
+ *   backend: a createStubBackend() (default: a fresh one),
+ *   search: window.location.search (e.g. '?payment_id=1&status=approved'),
+ *   hash: window.location.hash,
+ *   cookie: document.cookie,
+ *   elements: {id: {value}} for document.getElementById,
+ *   globals: extra window properties (e.g. MP_DEVICE_SESSION_ID),
+ *   sessionStorage: initial sessionStorage contents,
+ *   timerScale: multiplier for every setTimeout delay (default 0.01, so the
+ *     bridge's retry / backoff / timeout waits take milliseconds).
+ */
+function loadBridge(options) {
+  options = options || {};
+  var backend = options.backend || createStubBackend();
+  var MercadoPago = createFakeMercadoPago(options.sdk);
+  var scale = options.timerScale === undefined ? 0.01 : options.timerScale;
+  var events = [];
+  var logs = [];
+  var elements = options.elements || {};
+  var storage = memoryStorage(options.sessionStorage);
+
+  var redirects = [];
+  var replacedUrls = [];
+  var window = Object.assign({
+    location: {
+      search: options.search || '',
+      origin: 'https://tienda.example',
+      pathname: '/dulces_5/checkout',
+      host: 'tienda.example',
+      hash: options.hash || '',
+      assign: function (url) { redirects.push(url); }
+    },
+    history: {
+      state: null,
+      replaceState: function (state, title, url) { replacedUrls.push(url); }
+    },
+    MercadoPago: MercadoPago,
+    crypto: webcrypto,
+    dispatchEvent: function (event) {
+      events.push({ type: event.type, detail: event.detail });
+      return true;
+    }
+  }, options.globals);
+
+  var quietConsole = {};
+  ['log', 'info', 'warn', 'error'].forEach(function (method) {
+    quietConsole[method] = function () { logs.push({ method: method, args: [].slice.call(arguments) }); };
+  });
+
+  var context = vm.createContext({
+    window: window,
+    document: {
+      cookie: options.cookie || '',
+      getElementById: function (id) { return elements[id] || null; }
+    },
+    MercadoPago: MercadoPago,
+    sessionStorage: storage,
+    fetch: backend.fetch,
+    CustomEvent: FakeCustomEvent,
+    AbortController: AbortController,
+    console: quietConsole,
+    setTimeout: function (fn, ms) { return setTimeout(fn, Math.round((ms || 0) * scale)); },
+    clearTimeout: clearTimeout,
+    // Same-realm builtins, so instanceof / assert.rejects behave across the
+    // VM boundary.
+    Promise: Promise,
+    Error: Error
+  });
+  vm.runInContext(BRIDGE_SOURCE, context, { filename: BRIDGE_PATH });
+
+  return {
+    bridge: window.MercadoPagoBridge,
+    window: window,
+    sdk: MercadoPago,
+    backend: backend,
+    storage: storage,
+    events: events,
+    logs: logs,
+    /** URLs passed to window.location.assign (redirects away from the page). */
+    redirects: redirects,
+    /** URLs passed to history.replaceState. */
+    replacedUrls: replacedUrls,
+    /** Events named `name`, with detail.data parsed when it is JSON. */
+    eventsOf: function (name) {
+      return events.filter(function (e) { return e.type === name; }).map(function (e) {
+        var data = e.detail && e.detail.data;
+        try { data = JSON.parse(data); } catch (err) { }
+        return { containerId: e.detail && e.detail.containerId, data: data };
+      });
+    }
+  };
+}
+
+module.exports = { loadBridge: loadBridge, createStubBackend: createStubBackend };
@@ -0,0 +1,97 @@
+/**
+ * Fake MercadoPago JS SDK (v2) for offline tests of mercadopago_bridge.js.
+ *
+ * Implements just the surface the bridge touches: `new MercadoPago(key, opts)`,
+ * `bricks().create(type, containerId, settings)` resolving a controller with
+ * unmount()/update(), and `getDeviceProfile()`. Every created brick is kept
+ * so a test can drive its callbacks (ready, submit, SDK error) by hand.
+ *
+ * Node: `require('./fake_mercadopago').createFakeMercadoPago(options)`.
+ * Browser: load this file instead of sdk.mercadopago.com and window.MercadoPago
+ * is the fake (same options through window.createFakeMercadoPago).
+ */
+(function (root) {
+  /**
+   * Returns a fresh MercadoPago constructor (no state shared between tests).
+   * @param {object} [options]
+   *   deviceProfile: {id} returned by getDeviceProfile() (default null),
+   *   deviceProfileId: value of instance.deviceProfileId,
+   *   instanceProperties: value of instance._instanceProperties,
+   *   createError: error create() rejects with,
+   *   autoReady: call onReady right after create() (default true),
+   *   supportsUpdate: controllers expose update() (default true),
+   *   acceptUpdate: function(changes) -> boolean (default: accept)
+   */
+  function createFakeMercadoPago(options) {
+    options = options || {};
+    var instances = [];
+    var bricks = [];
+
+    function FakeMercadoPago(publicKey, sdkOptions) {
+      this.publicKey = publicKey;
+      this.options = sdkOptions || {};
+      if (options.deviceProfileId) this.deviceProfileId = options.deviceProfileId;
+      if (options.instanceProperties) this._instanceProperties = options.instanceProperties;
+      instances.push(this);
+    }
+
+    FakeMercadoPago.prototype.getDeviceProfile = function () {
+      return options.deviceProfile || null;
+    };
+
+    FakeMercadoPago.prototype.bricks = function () {
+      return {
+        create: function (type, containerId, settings) {
+          var brick = {
+            type: type,
+            containerId: containerId,
+            settings: settings,
+            mounted: true,
+            updates: [],
+            ready: function () {
+              settings.callbacks.onReady();
+            },
+            submit: function (formData) {
+              return settings.callbacks.onSubmit({ selectedPaymentMethod: 'credit_card', formData: formData });
+            },
+            fail: function (error) {
+              settings.callbacks.onError(error);
+            }
+          };
+          bricks.push(brick);
+          if (options.createError) return Promise.reject(options.createError);
+
+          var controller = {
+            unmount: function () { brick.mounted = false; }
+          };
+          if (options.supportsUpdate !== false) {
+            controller.update = function (changes) {
+              var accepted = options.acceptUpdate ? options.acceptUpdate(changes) : true;
+              if (accepted) brick.updates.push(changes);
+              return accepted;
+            };
+          }
+          brick.controller = controller;
+          if (options.autoReady !== false) {
+            Promise.resolve().then(function () { if (brick.mounted) brick.ready(); });
+          }
+          return Promise.resolve(controller);
+        }
+      };
+    };
+
+    FakeMercadoPago.instances = instances;
+    FakeMercadoPago.bricks = bricks;
+    FakeMercadoPago.lastBrick = function () {
+      return bricks[bricks.length - 1] || null;
+    };
+    return FakeMercadoPago;
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createFakeMercadoPago: createFakeMercadoPago };
+  } else {
+    root.createFakeMercadoPago = createFakeMercadoPago;
+    if (!root.MercadoPago) root.MercadoPago = createFakeMercadoPago();
+  }
+})(this);
@@ -0,0 +1,84 @@
+/**
+ * Stub backend: a fetch() replacement that answers from registered routes and
+ * records every request, so the bridge's HTTP traffic (payment POST, status
+ * poll, IP resolvers) can be asserted without a network.
+ *
+ *   var backend = createStubBackend();
+ *   backend.on('POST', 'https://api.test/payments', [{ status: 503 }, { status: 201, body: {...} }]);
+ *   backend.fetch(url, init) // -> Promise<Response-like>
+ *
+ * A route answers with a response {status, body, text}, a list of them (used
+ * in order, the last one repeats) or a function(request) returning one.
+ * 'network-error' rejects like fetch does offline; 'hang' never answers
+ * (until the request's AbortSignal fires). Unmatched requests are network
+ * errors too.
+ */
+function createStubBackend() {
+  var routes = [];
+  var requests = [];
+
+  function matches(route, method, url) {
+    if (route.method !== method) return false;
+    return route.url instanceof RegExp ? route.url.test(url) : url.split('?')[0] === route.url;
+  }
+
+  function toResponse(answer) {
+    var status = answer.status || 200;
+    var text = answer.text !== undefined ? answer.text : JSON.stringify(answer.body === undefined ? {} : answer.body);
+    return {
+      ok: status >= 200 && status < 300,
+      status: status,
+      text: function () { return Promise.resolve(text); },
+      json: function () {
+        return new Promise(function (resolve) { resolve(JSON.parse(text)); });
+      }
+    };
+  }
+
+  function fetch(url, init) {
+    init = init || {};
+    var request = {
+      url: url,
+      method: (init.method || 'GET').toUpperCase(),
+      headers: init.headers || {},
+      body: init.body ? JSON.parse(init.body) : null
+    };
+    requests.push(request);
+
+    var route = null;
+    for (var i = 0; i < routes.length; i++) {
+      if (matches(routes[i], request.method, url)) { route = routes[i]; break; }
+    }
+    if (!route) return Promise.reject(new TypeError('Failed to fetch ' + url));
+
+    var answer = route.answers.length > 1 ? route.answers.shift() : route.answers[0];
+    if (typeof answer === 'function') answer = answer(request);
+    if (answer === 'network-error') return Promise.reject(new TypeError('Failed to fetch'));
+    if (answer === 'hang') {
+      return new Promise(function (resolve, reject) {
+        if (init.signal) {
+          init.signal.addEventListener('abort', function () {
+            var error = new Error('The operation was aborted');
+            error.name = 'AbortError';
+            reject(error);
+          });
+        }
+      });
+    }
+    return Promise.resolve(toResponse(answer));
+  }
+
+  return {
+    fetch: fetch,
+    requests: requests,
+    on: function (method, url, answers) {
+      routes.push({ method: method.toUpperCase(), url: url, answers: Array.isArray(answers) ? answers.slice() : [answers] });
+      return this;
+    },
+    requestsTo: function (url) {
+      return requests.filter(function (r) { return r.url.split('?')[0] === url; });
+    }
+  };
+}
+
+module.exports = { createStubBackend: createStubBackend };
@@ -0,0 +1,103 @@
+/**
+ * Loads boot_telemetry.js into an isolated VM context with a fake browser
+ * around it: window (location, event listeners, __runtimeConfig,
+ * RouteParser), document.visibilityState, performance, a fake
+ * PerformanceObserver the test feeds entries to, and a navigator.sendBeacon
+ * that records every beacon. Each call is a brand-new page load.
+ */
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var RouteParser = require('../../route_parser');
+
+var TELEMETRY_PATH = path.join(__dirname, '..', '..', 'boot_telemetry.js');
+var TELEMETRY_SOURCE = fs.readFileSync(TELEMETRY_PATH, 'utf8');
+
+/**
+ * @param {object} [options]
+ *   telemetry: runtime config `telemetry` (default: a collector, sampled),
+ *   location: {pathname, search, hash} of the page,
+ *   globals: extra window properties (e.g. appBuildId).
+ */
+function loadTelemetry(options) {
+  options = options || {};
+  var listeners = {};
+  var observers = {};
+  var beacons = [];
+  var timers = [];
+  var clock = { now: 0 };
+
+  function on(target) {
+    return function (type, fn) { (target[type] = target[type] || []).push(fn); };
+  }
+  var documentListeners = {};
+  var document = { visibilityState: 'visible', addEventListener: on(documentListeners) };
+
+  function FakePerformanceObserver(callback) { this.callback = callback; }
+  FakePerformanceObserver.prototype.observe = function (init) {
+    observers[init.type] = { callback: this.callback, init: init };
+  };
+
+  function FakeBlob(parts, init) {
+    this.text = parts.join('');
+    this.type = init && init.type;
+  }
+
+  var window = Object.assign({
+    __runtimeConfig: {
+      environment: 'production',
+      isCustomDomain: true,
+      telemetry: options.telemetry || { collector: 'https://collector.test/boot', sampleRate: 1 }
+    },
+    location: Object.assign({ pathname: '/', search: '', hash: '' }, options.location),
+    RouteParser: RouteParser,
+    document: document,
+    performance: {
+      now: function () { return clock.now; },
+      getEntriesByType: function () {
+        return [{ type: 'navigate', responseStart: 210.4, domInteractive: 640.2, loadEventEnd: 0 }];
+      }
+    },
+    navigator: {
+      connection: { effectiveType: '4g', saveData: false },
+      sendBeacon: function (url, blob) {
+        beacons.push({ url: url, type: blob.type, body: JSON.parse(blob.text) });
+        return true;
+      }
+    },
+    addEventListener: on(listeners)
+  }, options.globals);
+
+  var context = vm.createContext({
+    window: window,
+    Blob: FakeBlob,
+    PerformanceObserver: FakePerformanceObserver,
+    setTimeout: function (fn) { timers.push(fn); },
+    Promise: Promise
+  });
+  vm.runInContext(TELEMETRY_SOURCE, context, { filename: TELEMETRY_PATH });
+
+  return {
+    telemetry: window.BootTelemetry,
+    window: window,
+    clock: clock,
+    beacons: beacons,
+    /** Entry types the module subscribed to. */
+    observedTypes: function () { return Object.keys(observers).sort(); },
+    /** Delivers performance entries of one type to its observer. */
+    observe: function (type, entries) {
+      observers[type].callback({ getEntries: function () { return entries; } });
+    },
+    dispatch: function (type, detail) {
+      (listeners[type] || []).forEach(function (fn) { fn({ type: type, detail: detail }); });
+    },
+    hide: function () {
+      document.visibilityState = 'hidden';
+      (documentListeners.visibilitychange || []).forEach(function (fn) { fn(); });
+    },
+    /** Runs the timers set so far (e.g. the beacon after the first frame). */
+    flushTimers: function () { timers.splice(0).forEach(function (fn) { fn(); }); }
+  };
+}
+
+module.exports = { loadTelemetry: loadTelemetry };
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * SEO pre-render for store and product routes
+ *
+ * index.html is a Flutter shell, so crawlers and link unfurlers (WhatsApp,
+ * Facebook, Google) only ever saw the generic tags. This script reads the
+ * public store/product endpoints and writes, per route, a copy of index.html
+ * whose <!-- seo:start --> ... <!-- seo:end --> block carries the real
+ * title, description, og:url/og:image, canonical link and schema.org
+ * Store or Product/Offer JSON-LD, plus sitemap.xml and robots.txt for the
+ * domain. The app boots from those pages exactly as from index.html.
+ *
+ * Deploy (static output, one directory per store domain):
+ *   node tool/prerender_seo.js --store 55 --origin https://tienda.teregalo.co \
+ *     [--out seo/tienda.teregalo.co] [--template index.html] [--api <gateway>]
+ *
+ * Edge-proxy (per request): require this file and call
+ * renderRoute(template, {origin, store, product}) with the payloads the proxy
+ * already fetched; it returns the whole page.
+ *
+ * Routes follow route_parser.js, with the slug from the store payload
+ * (`slug`): on a custom domain the store page is /, elsewhere /<slug>;
+ * products are /<slug>/product_<id> on both. Hash-routed hosts (the mall on
+ * GitHub Pages) are refused: the #/ route never reaches a crawler.
+ */
+var fs = require('fs');
+var path = require('path');
+var RuntimeConfig = require('../runtime_config');
+var RouteParser = require('../route_parser');
+
+var SEO_START = '<!-- seo:start -->';
+var SEO_END = '<!-- seo:end -->';
+var DESCRIPTION_MAX_CHARS = 200;
+var DEFAULT_CURRENCY = 'COP';
+
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeXml(text) {
+  return escapeHtml(text).replace(/'/g, '&apos;');
+}
+
+/** Collapses whitespace and cuts at a word boundary. */
+function summarize(text, maxChars) {
+  var clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxChars) return clean;
+  var cut = clean.slice(0, maxChars - 1);
+  var space = cut.lastIndexOf(' ');
+  return (space > maxChars / 2 ? cut.slice(0, space) : cut) + '…';
+}
+
+/**
+ * The store's <name>_<storeId> slug as the app links to it, taken from the
+ * payload (never re-derived from the name: accents and renames would make
+ * a different URL). Throws when it is missing or names another store.
+ */
+function storeSlug(store) {
+  var slug = typeof store.slug === 'string' ? store.slug.replace(/^\/+|\/+$/g, '') : '';
+  var route = RouteParser.parse('/' + slug);
+  if (!slug || route.segments.length !== 1 || route.storeId !== String(store.id)) {
+    throw new Error('store ' + store.id + ' has no usable slug (got ' + JSON.stringify(store.slug) + ')');
+  }
+  return slug;
+}
+
+function httpsUrl(value) {
+  return typeof value === 'string' && /^https:\/\//i.test(value) ? value : null;
+}
+
+function productImage(product) {
+  var images = product.images || product.imageUrls || [];
+  var first = images[0];
+  return httpsUrl(product.imageUrl) || httpsUrl(product.image) ||
+    httpsUrl(first && typeof first === 'object' ? first.url : first);
+}
+
+/** Products endpoints answer a bare list or a page ({content|products|items}). */
+function productList(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (!payload) return [];
+  return payload.content || payload.products || payload.items || [];
+}
+
+/**
+ * Route paths for one domain: {store, product(id)}. Hash-routed hosts (the
+ * mall) are refused: crawlers never send the #/ route, so every page there
+ * is the mall home, and its sitemap/robots are shared by all stores.
+ */
+function routesFor(origin, store) {
+  var hostname = new URL(origin).hostname;
+  var config = RuntimeConfig.resolve({ hostname: hostname, baseHref: '/' });
+  if (config.routing === 'hash') {
+    throw new Error(hostname + ' uses hash routing; only path-routed store domains can be pre-rendered');
+  }
+  var slug = '/' + storeSlug(store);
+  return {
+    store: config.isCustomDomain ? '/' : slug,
+    // Under the slug on custom domains too: a bare /product_N reads as
+    // store N (see route_parser.js).
+    product: function (id) { return slug + '/product_' + id; }
+  };
+}
+
+/**
+ * Metadata of one route. Returns {title, description, url, image, type,
+ * jsonLd}. `product` is optional (store page without it).
+ */
+function buildRouteMeta(options) {
+  var origin = options.origin.replace(/\/+$/, '');
+  var store = options.store;
+  var product = options.product;
+  var routes = routesFor(origin, store);
+  var storeUrl = origin + routes.store;
+  var fallbackImage = origin + '/icons/Icon-512.png';
+
+  if (!product) {
+    var storeDescription = summarize(store.description, DESCRIPTION_MAX_CHARS) ||
+      'Visita ' + store.name + ' y compra en línea.';
+    return {
+      title: store.name,
+      description: storeDescription,
+      url: storeUrl,
+      image: httpsUrl(store.logoUrl) || fallbackImage,
+      type: 'website',
+      jsonLd: {
+        '@context': 'https://schema.org',
+        '@type': 'Store',
+        name: store.name,
+        description: storeDescription,
+        url: storeUrl,
+        image: httpsUrl(store.logoUrl) || undefined
+      }
+    };
+  }
+
+  var url = origin + routes.product(product.id);
+  var image = productImage(product) || httpsUrl(store.logoUrl) || fallbackImage;
+  var description = summarize(product.description, DESCRIPTION_MAX_CHARS) ||
+    'Compra ' + product.name + ' en ' + store.name + '.';
+  var available = product.available !== false && !(product.stock === 0);
+  var jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: product.name,
+    description: description,
+    image: image,
+    url: url,
+    sku: String(product.id),
+    brand: { '@type': 'Brand', name: store.name }
+  };
+  if (typeof product.price === 'number' && isFinite(product.price)) {
+    jsonLd.offers = {
+      '@type': 'Offer',
+      url: url,
+      price: product.price,
+      priceCurrency: options.currency || DEFAULT_CURRENCY,
+      availability: 'https://schema.org/' + (available ? 'InStock' : 'OutOfStock'),
+      seller: { '@type': 'Organization', name: store.name }
+    };
+  }
+  return {
+    title: product.name + ' | ' + store.name,
+    description: description,
+    url: url,
+    image: image,
+    type: 'product',
+    jsonLd: jsonLd
+  };
+}
+
+/** The HTML that goes between the seo markers. */
+function renderSeoBlock(meta, siteName) {
+  var tags = [
+    '<title>' + escapeHtml(meta.title) + '</title>',
+    '<meta name="description" content="' + escapeHtml(meta.description) + '">',
+    '<link rel="canonical" href="' + escapeHtml(meta.url) + '">',
+    '<meta property="og:type" content="' + escapeHtml(meta.type) + '">',
+    '<meta property="og:title" content="' + escapeHtml(meta.title) + '">',
+    '<meta property="og:description" content="' + escapeHtml(meta.description) + '">',
+    '<meta property="og:url" content="' + escapeHtml(meta.url) + '">',
+    '<meta property="og:image" content="' + escapeHtml(meta.image) + '">',
+    '<meta property="og:site_name" content="' + escapeHtml(siteName) + '">',
+    '<meta property="og:locale" content="es_CO">',
+    '<meta name="twitter:card" content="summary_large_image">',
+    '<meta name="twitter:title" content="' + escapeHtml(meta.title) + '">',
+    '<meta name="twitter:description" content="' + escapeHtml(meta.description) + '">',
+    '<meta name="twitter:image" content="' + escapeHtml(meta.image) + '">',
+    // '<' escaped so a product text can never close the script element.
+    '<script type="application/ld+json">' +
+      JSON.stringify(meta.jsonLd).replace(/</g, '\\u003c') + '</script>'
+  ];
+  return tags.map(function (tag) { return '  ' + tag; }).join('\n');
+}
+
+/** Replaces the seo block of the index.html template. */
+function injectSeo(template, block) {
+  var start = template.indexOf(SEO_START);
+  var end = template.indexOf(SEO_END);
+  if (start === -1 || end < start) {
+    throw new Error('template has no ' + SEO_START + ' ... ' + SEO_END + ' block');
+  }
+  return template.slice(0, start + SEO_START.length) + '\n' + block + '\n  ' +
+    template.slice(end);
+}
+
+/** Pre-rendered HTML of one route: renderRoute(template, {origin, store, product?}). */
+function renderRoute(template, options) {
+  return injectSeo(template, renderSeoBlock(buildRouteMeta(options), options.store.name));
+}
+
+function buildSitemap(urls) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+    urls.map(function (url) { return '  <url><loc>' + escapeXml(url) + '</loc></url>\n'; }).join('') +
+    '</urlset>\n';
+}
+
+function buildRobots(origin) {
+  return 'User-agent: *\nAllow: /\n\nSitemap: ' + origin.replace(/\/+$/, '') + '/sitemap.xml\n';
+}
+
+/**
+ * Every file of one store domain, as {relativePath: content}: a page per
+ * route (<route>/index.html), sitemap.xml and robots.txt.
+ */
+function renderSite(template, options) {
+  var origin = options.origin.replace(/\/+$/, '');
+  var store = options.store;
+  var routes = routesFor(origin, store);
+  var files = {};
+  var urls = [];
+
+  function add(route, product) {
+    var file = route.replace(/^\/+/, '');
+    files[(file ? file + '/' : '') + 'index.html'] = renderRoute(template, {
+      origin: origin, store: store, product: product, currency: options.currency
+    });
+    urls.push(origin + route);
+  }
+
+  add(routes.store, null);
+  (options.products || []).forEach(function (product) {
+    if (product && product.id != null && product.name) add(routes.product(product.id), product);
+  });
+  files['sitemap.xml'] = buildSitemap(urls);
+  files['robots.txt'] = buildRobots(origin);
+  return files;
+}
+
+function fetchJson(url) {
+  return fetch(url).then(function (res) {
+    if (!res.ok) throw new Error('GET ' + url + ' -> HTTP ' + res.status);
+    return res.json();
+  });
+}
+
+/** Store + product list from the same public endpoints the prefetch uses. */
+function fetchStore(apiBase, storeId) {
+  return Promise.all([
+    fetchJson(apiBase + '/store/public/store/' + storeId),
+    fetchJson(apiBase + '/warehouse/productsmodule/store/' + storeId + '/products-to-show/public')
+  ]).then(function (answers) {
+    var store = answers[0];
+    if (store.id == null) store.id = storeId;
+    return { store: store, products: productList(answers[1]) };
+  });
+}
+
+function parseArgs(argv) {
+  var args = {};
+  for (var i = 0; i < argv.length; i++) {
+    var m = /^--([a-z]+)$/.exec(argv[i]);
+    if (m) args[m[1]] = argv[++i];
+  }
+  return args;
+}
+
+function main(argv) {
+  var args = parseArgs(argv);
+  if (!args.store || !args.origin) {
+    console.error('usage: node tool/prerender_seo.js --store <id> --origin <https://domain> ' +
+      '[--out <dir>] [--template index.html] [--api <gateway>] [--currency COP]');
+    process.exitCode = 2;
+    return Promise.resolve();
+  }
+  var root = path.join(__dirname, '..');
+  var template = fs.readFileSync(args.template || path.join(root, 'index.html'), 'utf8');
+  var apiBase = args.api || RuntimeConfig.ENVIRONMENTS.production.apiBase;
+  var out = args.out || path.join('seo', new URL(args.origin).hostname);
+
+  return fetchStore(apiBase, args.store).then(function (data) {
+    var files = renderSite(template, {
+      origin: args.origin, store: data.store, products: data.products, currency: args.currency
+    });
+    Object.keys(files).forEach(function (file) {
+      var target = path.join(out, file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, files[file]);
+    });
+    console.log('prerender_seo: ' + Object.keys(files).length + ' files in ' + out);
+  }).catch(function (error) {
+    console.error('prerender_seo: ' + error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  SEO_START: SEO_START,
+  SEO_END: SEO_END,
+  storeSlug: storeSlug,
+  buildRouteMeta: buildRouteMeta,
+  renderSeoBlock: renderSeoBlock,
+  injectSeo: injectSeo,
+  renderRoute: renderRoute,
+  buildSitemap: buildSitemap,
+  buildRobots: buildRobots,
+  renderSite: renderSite,
+  fetchStore: fetchStore
+};
+
+if (require.main === module) main(process.argv.slice(2));
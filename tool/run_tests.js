@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Test runner
+ *
+ * Runs test/*.test.js with node:test. `node --test test/` would also pick up
+ * the helpers in test/support/, and the shell glob in
+ * `node --test test/*.test.js` is not expanded by cmd.exe / PowerShell (nor
+ * by Node 20 itself), so list the files here:
+ *
+ *   node tool/run_tests.js [extra node --test flags]
+ *
+ * Exits with node --test's status, so it can gate a deploy.
+ */
+var fs = require('fs');
+var path = require('path');
+var spawnSync = require('child_process').spawnSync;
+
+var TEST_DIR = path.join(__dirname, '..', 'test');
+
+function testFiles() {
+  return fs.readdirSync(TEST_DIR).filter(function (name) {
+    return /\.test\.js$/.test(name);
+  }).sort().map(function (name) {
+    return path.join(TEST_DIR, name);
+  });
+}
+
+function main(argv) {
+  var files = testFiles();
+  if (files.length === 0) {
+    console.error('run_tests: no test/*.test.js files');
+    process.exitCode = 1;
+    return;
+  }
+  var run = spawnSync(process.execPath, ['--test'].concat(argv, files), { stdio: 'inherit' });
+  if (run.error) {
+    console.error('run_tests: ' + run.error.message);
+    process.exitCode = 1;
+    return;
+  }
+  process.exitCode = run.status === null ? 1 : run.status;
+}
+
+module.exports = { testFiles: testFiles };
+
+if (require.main === module) main(process.argv.slice(2));
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Stamps the build id into the boot script URLs of index.html
+ *
+ * runtime_config.js, route_parser.js and boot_telemetry.js are blocking
+ * <head> scripts with fixed names, so without a version in their URL a
+ * browser or edge cache can run last deploy's copy against this deploy's
+ * page (e.g. an old apiBase, or a route grammar out of step with the Dart
+ * side). Like main.dart.js?v=<appBuildId>, each gets ?v=<build id> on every
+ * deploy. Run it in the deploy step right after build_version.txt is
+ * stamped, before tool/prerender_seo.js copies index.html:
+ *
+ *   node tool/stamp_boot_scripts.js [--dir build/web] [--build <id>]
+ *
+ * --build defaults to the id in <dir>/build_version.txt.
+ */
+var fs = require('fs');
+var path = require('path');
+
+var BUILD_ID_SHAPE = /^[0-9a-f]{6,40}-\d{8,17}$/i;
+var BOOT_SCRIPTS = ['runtime_config.js', 'route_parser.js', 'boot_telemetry.js'];
+
+/**
+ * index.html with each BOOT_SCRIPTS <script src> pointing at ?v=<build>
+ * (replacing a previous stamp). Throws on a bad build id or when a script
+ * tag is missing, so a template change can't silently drop the stamp.
+ */
+function stampBootScripts(html, build) {
+  build = String(build || '').trim();
+  if (!BUILD_ID_SHAPE.test(build)) throw new Error('not a build id: ' + JSON.stringify(build));
+
+  return BOOT_SCRIPTS.reduce(function (page, file) {
+    var tag = new RegExp('(<script src=")' + file.replace('.', '\\.') + '(\\?v=[^"]*)?(")', 'g');
+    var found = 0;
+    var stamped = page.replace(tag, function (match, open, version, close) {
+      found++;
+      return open + file + '?v=' + encodeURIComponent(build) + close;
+    });
+    if (found !== 1) throw new Error('expected one <script src="' + file + '"> in index.html, found ' + found);
+    return stamped;
+  }, html);
+}
+
+function parseArgs(argv) {
+  var args = {};
+  for (var i = 0; i < argv.length; i++) {
+    var m = /^--([a-z]+)$/.exec(argv[i]);
+    if (m) args[m[1]] = argv[++i];
+  }
+  return args;
+}
+
+function main(argv) {
+  var args = parseArgs(argv);
+  var dir = args.dir || '.';
+  var target = path.join(dir, 'index.html');
+  try {
+    var build = args.build || fs.readFileSync(path.join(dir, 'build_version.txt'), 'utf8');
+    fs.writeFileSync(target, stampBootScripts(fs.readFileSync(target, 'utf8'), build));
+    console.log('stamp_boot_scripts: ' + target + ' -> ' + String(build).trim());
+  } catch (error) {
+    console.error('stamp_boot_scripts: ' + error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { BOOT_SCRIPTS: BOOT_SCRIPTS, stampBootScripts: stampBootScripts };
+
+if (require.main === module) main(process.argv.slice(2));
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Writes release.json for a deploy
+ *
+ * The update checker in index.html reads release.json and build_version.txt
+ * and follows whichever names the newer build, so a release.json that a
+ * deploy forgot to rewrite can no longer hide later builds; but its
+ * severity, notes and minimum only apply while it names the deployed build.
+ * Run it in the deploy step right after build_version.txt is stamped:
+ *
+ *   node tool/stamp_release.js [--dir build/web] [--build <id>]
+ *     [--severity silent|banner|mandatory] [--notes "..."]
+ *     [--minimum <id>|none]
+ *
+ * --build defaults to the id in <dir>/build_version.txt. severity and notes
+ * describe this release only (default 'banner', no notes); the minimum is a
+ * backend contract, so the one already in <dir>/release.json is kept unless
+ * --minimum replaces it ('none' clears it).
+ */
+var fs = require('fs');
+var path = require('path');
+
+var BUILD_ID_SHAPE = /^[0-9a-f]{6,40}-\d{8,17}$/i;
+var SEVERITIES = ['silent', 'banner', 'mandatory'];
+var NOTES_MAX_CHARS = 280;
+
+/**
+ * The release.json object for one deploy: buildRelease({build, severity,
+ * notes, minimum}, previous) where previous is the parsed release.json
+ * being replaced (or null). Throws on anything index.html would reject.
+ */
+function buildRelease(options, previous) {
+  var build = String(options.build || '').trim();
+  if (!BUILD_ID_SHAPE.test(build)) throw new Error('not a build id: ' + JSON.stringify(options.build));
+
+  var severity = options.severity || 'banner';
+  if (SEVERITIES.indexOf(severity) === -1) {
+    throw new Error('severity must be one of ' + SEVERITIES.join(', '));
+  }
+
+  var notes = String(options.notes || '').trim();
+  if (notes.length > NOTES_MAX_CHARS) throw new Error('notes longer than ' + NOTES_MAX_CHARS + ' characters');
+
+  var minimum = options.minimum !== undefined ? options.minimum : previous && previous.minimum;
+  if (minimum === 'none' || !minimum) minimum = null;
+  if (minimum !== null && !BUILD_ID_SHAPE.test(minimum)) {
+    throw new Error('not a build id: ' + JSON.stringify(minimum));
+  }
+
+  return { current: build, minimum: minimum, severity: severity, notes: notes };
+}
+
+function readJson(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { return null; }
+}
+
+function parseArgs(argv) {
+  var args = {};
+  for (var i = 0; i < argv.length; i++) {
+    var m = /^--([a-z]+)$/.exec(argv[i]);
+    if (m) args[m[1]] = argv[++i];
+  }
+  return args;
+}
+
+function main(argv) {
+  var args = parseArgs(argv);
+  var dir = args.dir || '.';
+  var target = path.join(dir, 'release.json');
+  try {
+    var build = args.build || fs.readFileSync(path.join(dir, 'build_version.txt'), 'utf8');
+    var release = buildRelease({
+      build: build, severity: args.severity, notes: args.notes, minimum: args.minimum
+    }, readJson(target));
+    fs.writeFileSync(target, JSON.stringify(release) + '\n');
+    console.log('stamp_release: ' + target + ' -> ' + release.current);
+  } catch (error) {
+    console.error('stamp_release: ' + error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { buildRelease: buildRelease };
+
+if (require.main === module) main(process.argv.slice(2));